@@ -1,4 +1,5 @@
 const fs = require('fs');
+const { mergeShifts } = require('./lib/canonicalSchedule');
 
 // --- Global Data Structures ---
 let overtimeModifier = 0;
@@ -197,43 +198,6 @@ function isEmployeeScheduledAtHour(scheduledHours, employeeId, hour) {
     return scheduledHours.has(employeeId) && scheduledHours.get(employeeId).has(hour);
 }
 
-/**
- * Merges contiguous 1-hour shifts for the same employee and skill.
- */
-function mergeShifts(shifts) {
-    if (shifts.length === 0) return [];
-
-    // Group and sort by employee, then skill, then start time
-    shifts.sort((a, b) => {
-        if (a.employeeId !== b.employeeId) return a.employeeId - b.employeeId;
-        if (a.skill !== b.skill) return a.skill.localeCompare(b.skill);
-        return a.start - b.start;
-    });
-
-    const merged = [];
-    let currentShift = shifts[0];
-
-    for (let i = 1; i < shifts.length; i++) {
-        const nextShift = shifts[i];
-
-        // Check if the next shift can be merged (same employee, same skill, contiguous hours)
-        if (currentShift.employeeId === nextShift.employeeId &&
-            currentShift.skill === nextShift.skill &&
-            currentShift.end === nextShift.start) {
-            // Merge: extend the end time
-            currentShift.end = nextShift.end;
-        } else {
-            // Cannot merge, push the current shift and start a new one
-            merged.push(currentShift);
-            currentShift = nextShift;
-        }
-    }
-
-    // Push the last shift
-    merged.push(currentShift);
-    return merged;
-}
-
 /**
  * The core scheduling function using a simple greedy approach.
  * It prioritizes filling skill-hours with trained employees. It ignores 
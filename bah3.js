@@ -1,4 +1,5 @@
 const fs = require('fs');
+const { mergeShifts } = require('./lib/canonicalSchedule');
 
 // --- 1. Main Execution Logic ---
 function solveCodeBashChallenge(inputFile, outputFile) {
@@ -176,37 +177,6 @@ function generateSimpleSchedule(days, employees, organization) {
     return schedule;
 }
 
-function mergeShifts(shifts) {
-    // Voegt opeenvolgende één-uur shifts samen tot enkele tokens.
-    const map = new Map(); 
-    shifts.forEach(s => {
-        const key = `${s.employeeId}-${s.skill}`;
-        if (!map.has(key)) map.set(key, []);
-        map.get(key).push(s.start);
-    });
-
-    const merged = [];
-    map.forEach((starts, key) => {
-        const [employeeId, skill] = key.split('-');
-        starts.sort((a, b) => a - b);
-        
-        let currentStart = starts[0];
-        let currentEnd = starts[0] + 1;
-
-        for (let i = 1; i < starts.length; i++) {
-            if (starts[i] === currentEnd) {
-                currentEnd = starts[i] + 1;
-            } else {
-                merged.push({ employeeId: Number(employeeId), start: currentStart, end: currentEnd, skill });
-                currentStart = starts[i];
-                currentEnd = starts[i] + 1;
-            }
-        }
-        merged.push({ employeeId: Number(employeeId), start: currentStart, end: currentEnd, skill });
-    });
-    return merged;
-}
-
 // ----------------------------------------------------------------------------
 // --- 4. Output Formatting ---
 function formatOutput(schedule, days) {
@@ -240,7 +210,7 @@ function formatOutput(schedule, days) {
 
 // ----------------------------------------------------------------------------
 // --- 5. Simplified Score Calculation (For verification) ---
-function calculateTotalScore(schedule, organization, days, employees) {
+function calculateTotalScore(schedule, organization, days, employees, dayLog = null) {
     let totalScore = 0;
     
     // WARNING: This is a simplified score calculation.
@@ -306,16 +276,28 @@ function calculateTotalScore(schedule, organization, days, employees) {
         const P_d = calculatePayrollDay(day.dayId);
         
         let profit_d = 0;
+        let C_d = 0;
         if (dayData.type === 'closed') {
             // Closed day: profit_d = -F
             profit_d = -F;
         } else {
-            const C_d = calculateCapacityDay(dayData, schedule[day.dayId] || []);
+            C_d = calculateCapacityDay(dayData, schedule[day.dayId] || []);
             // Open day: profit_d = R_d * (C_d)^2 - P_d - F
             profit_d = R_d * Math.pow(C_d, 2) - P_d - F;
         }
         
         totalScore += profit_d;
+        if (dayLog) {
+            // Skills never change here, so the trained count is the initial one every day
+            const trainedCount = employees.reduce((sum, emp) => sum + emp.skills.size, 0);
+            dayLog.push({
+                dayId: day.dayId,
+                capacity: C_d,
+                payroll: dayData.type === 'closed' ? 0 : P_d,
+                profit: profit_d,
+                trainedCount,
+            });
+        }
     }
 
     return totalScore;
@@ -325,4 +307,6 @@ function calculateTotalScore(schedule, organization, days, employees) {
 // Check if the script is being run directly
 if (require.main === module) {
     solveCodeBashChallenge(process.argv[2], process.argv[3]);
-}
\ No newline at end of file
+}
+
+module.exports = { parseInput, calculateTotalScore };
\ No newline at end of file
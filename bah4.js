@@ -1,4 +1,5 @@
 const fs = require('fs');
+const { skillDemand } = require('./lib/skillDemand');
 
 /**
  * Parses the raw input file content into structured data (days and employees).
@@ -38,21 +39,17 @@ function parseInput(content) {
                 const startHour = parseInt(start, 10);
                 const endHour = parseInt(end, 10);
                 
-                const skillCounts = {};
                 const requiredSkills = required_skills_csv.split(',').filter(s => s && s !== '_');
-                
-                for (const skill of requiredSkills) {
-                    skillCounts[skill] = (skillCounts[skill] || 0) + 1;
-                }
+                const skillCounts = skillDemand(requiredSkills);
                 
                 // Map required skills to slots per hour: { 'hour-skill': count }
                 const requiredSlots = {};
                 let totalRequiredHours = 0;
                 
                 for (let hour = startHour; hour < endHour; hour++) {
-                    for (const skill in skillCounts) {
-                        requiredSlots[`${hour}-${skill}`] = skillCounts[skill];
-                        totalRequiredHours += skillCounts[skill];
+                    for (const [skill, count] of skillCounts) {
+                        requiredSlots[`${hour}-${skill}`] = count;
+                        totalRequiredHours += count;
                     }
                 }
                 
@@ -136,6 +133,7 @@ function runScheduler(data) {
         for (const hourSkill in day.requiredSlots) {
             const count = day.requiredSlots[hourSkill];
             const [hour, skill] = hourSkill.split('-');
+            // Only qualified workers are assigned, one per slot
             for (let i = 0; i < count; i++) {
                 requiredShifts.push({ hour: parseInt(hour, 10), skill });
             }
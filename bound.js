@@ -0,0 +1,44 @@
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProfit, formatTable } = require('./lib/reportTable');
+const { profitUpperBound } = require('./lib/upperBound');
+
+// --- Execution ---
+//
+// Prints a provable upper bound on the official profit of an instance (see
+// lib/upperBound.js), optionally with the bound of every day. No schedule can
+// score more; the validator reports a schedule's gap to this bound.
+
+const DAY_COLUMNS = [
+    { key: 'dayId', title: 'Day' },
+    { key: 'revenue', title: 'Revenue' },
+    { key: 'capacity', title: 'Capacity', digits: 4 },
+    { key: 'payroll', title: 'Min payroll', digits: 2 },
+    { key: 'fixedCost', title: 'Fixed' },
+    { key: 'bound', title: 'Bound', digits: 2 },
+];
+
+if (require.main === module) {
+    const args = [];
+    let breakdown = false;
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--breakdown') {
+            breakdown = true;
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 1) {
+        console.log("Usage: node bound.js [--breakdown] <input_file_path>");
+        process.exit(1);
+    }
+
+    const instance = readOrExit(args[0], path => readInput(path, { strict: true }));
+    const result = profitUpperBound(instance);
+    if (breakdown) {
+        console.log(formatTable(DAY_COLUMNS, result.days));
+        console.log('-'.repeat(50));
+    }
+    console.log(`Upper bound on profit: ${formatProfit(result.total)}`);
+}
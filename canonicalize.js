@@ -0,0 +1,42 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProblem, parseOutput } = require('./lib/outputParser');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { formatOutput } = require('./lib/textFormat');
+
+// --- Execution ---
+//
+// Rewrites a schedule file in canonical form (see lib/canonicalSchedule.js), so
+// outputs of different solvers can be compared with a plain diff. With
+// --input, day ids are checked against the instance and skills containing
+// dashes are recognised. The target may be the source file itself.
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let instance = null;
+    if (args[0] === '--input') {
+        instance = readOrExit(args[1], path => readInput(path, { strict: true }));
+        args.splice(0, 2);
+    }
+    if (args.length !== 2) {
+        console.log("Usage: node canonicalize.js [--input <input_file_path>] <schedule_file> <target_file>");
+        process.exit(1);
+    }
+
+    const [sourcePath, targetPath] = args;
+    const { schedule, problems } = readOrExit(sourcePath, path => parseOutput(fs.readFileSync(path, 'utf8'), instance));
+    for (const problem of problems) {
+        console.error(`  ${problem.severity.padEnd(7)} ${sourcePath}:${formatProblem(problem)}`);
+    }
+    if (problems.some(p => p.severity === 'error')) {
+        // Writing only the readable tokens would silently drop the rest
+        console.error(`${sourcePath} has errors; nothing written.`);
+        process.exit(1);
+    }
+
+    const canonical = canonicalizeSchedule(schedule);
+    fs.writeFileSync(targetPath, formatOutput(canonical.schedule) + '\n');
+    console.log(`Canonicalized ${sourcePath} -> ${targetPath} ` +
+        `(${canonical.merges} merge(s), ${canonical.duplicatesRemoved} duplicate(s) removed)`);
+}
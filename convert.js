@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { InputParseError } = require('./lib/inputParser');
+const { parseOutput } = require('./lib/outputParser');
+const {
+    instanceTextToJson, instanceJsonToText, scheduleTextToJson, scheduleJsonToText,
+} = require('./lib/jsonFormat');
+
+// --- Execution ---
+//
+// Converts instance and schedule files between the text format and JSON
+// (see lib/jsonFormat.js for the JSON layout). The direction follows the
+// source file: `.json` becomes text, anything else becomes JSON.
+
+/**
+ * Tells instance text from schedule text by reading it as a schedule: the
+ * first line of an instance (`overtime_mod fixed_cost`) does not read as a
+ * day, while a schedule's does, in any form outputParser.js accepts
+ * (`0 _`, `0_`, shift tokens, even malformed ones).
+ */
+function looksLikeSchedule(text) {
+    const { schedule, problems } = parseOutput(text.split('\n')[0]);
+    return schedule.size > 0 && !problems.some(p => p.code === 'BAD_DASH_COUNT');
+}
+
+if (require.main === module) {
+    if (process.argv.length !== 4) {
+        console.log("Usage: node convert.js <source_file> <target_file>");
+        console.log("  example.txt -> example.json, or example.json -> example.txt");
+        process.exit(1);
+    }
+
+    const sourcePath = process.argv[2];
+    const targetPath = process.argv[3];
+    const converted = readOrExit(sourcePath, path => {
+        const content = fs.readFileSync(path, 'utf8');
+        try {
+            if (path.endsWith('.json')) {
+                const json = JSON.parse(content);
+                return json.kind === 'schedule' ? scheduleJsonToText(json) : instanceJsonToText(json);
+            }
+            const json = looksLikeSchedule(content) ? scheduleTextToJson(content) : instanceTextToJson(content);
+            return JSON.stringify(json, null, 2) + '\n';
+        } catch (e) {
+            if (e instanceof InputParseError) {
+                throw e; // readOrExit lists its diagnostics
+            }
+            console.log(`Cannot convert ${path}: ${e.message}`);
+            process.exit(1);
+        }
+    });
+
+    fs.writeFileSync(targetPath, converted);
+    console.log(`Converted ${sourcePath} -> ${targetPath}`);
+}
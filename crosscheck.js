@@ -0,0 +1,159 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProblem, readOutput } = require('./lib/outputParser');
+const { formatTable } = require('./lib/reportTable');
+const { ScoringEngine } = require('./lib/scoring');
+const { PlanningValidator } = require('./rep_validator');
+const { CodeBashSolver } = require('./rep_gemini');
+const bah3 = require('./bah3');
+
+// --- Execution ---
+//
+// Scores one schedule with every score implementation in the repo and shows
+// each day where they disagree, split into the component that differs:
+//   capacity   covered share of the required skill-hours
+//   payroll    wages paid that day
+//   training   number of (employee, skill) pairs counted as trained after the day
+// Unreadable tokens and shifts of unknown employees are dropped up front (and
+// listed), so every implementation scores exactly the same shifts.
+
+const COMPONENTS = ['capacity', 'payroll', 'training'];
+const TOLERANCE = 1e-9;
+
+/**
+ * Runs fn with console.log silenced; the solvers print progress while scoring.
+ */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function countTrained(engine) {
+    let count = 0;
+    engine.trainedSkills.forEach(skills => { count += skills.size; });
+    return count;
+}
+
+/**
+ * PlanningValidator scores through the engine's official profile; driving the
+ * engine directly also covers files the validator refuses to simulate.
+ */
+function scoreWithValidatorRules(instance, schedule) {
+    const engine = new ScoringEngine(instance, 'official');
+    return instance.days.map(day => {
+        const result = engine.scoreDay(day, schedule.get(day.id) || []);
+        return { dayId: day.id, capacity: result.capacity, payroll: result.payroll, profit: result.profit, trainedCount: countTrained(engine) };
+    });
+}
+
+function scoreWithCodeBash(inputPath, schedule) {
+    const solver = new CodeBashSolver();
+    const dayLog = [];
+    quietly(() => {
+        solver.parseInput(inputPath);
+        solver.calculateScore(schedule, dayLog);
+    });
+    return dayLog;
+}
+
+async function scoreWithSonnet(instance, schedule) {
+    const { calculateScore } = await import('./sonnet.js');
+    const dayLog = [];
+    calculateScore(instance, instance.days.map(day => ({ dayId: day.id, shifts: schedule.get(day.id) || [] })), dayLog);
+    return dayLog;
+}
+
+function scoreWithBah3(inputPath, schedule) {
+    const { organization, days, employees } = bah3.parseInput(fs.readFileSync(inputPath, 'utf8'));
+    const bahSchedule = {};
+    schedule.forEach((shifts, dayId) => { bahSchedule[dayId] = shifts; });
+    const dayLog = [];
+    bah3.calculateTotalScore(bahSchedule, organization, days, employees, dayLog);
+    return dayLog;
+}
+
+/**
+ * @returns {string[]} Components that differ between the implementations' figures for one day
+ */
+function differingComponents(figures) {
+    const differs = values => values.some(v => Math.abs(v - values[0]) > TOLERANCE);
+    const keyOf = { capacity: 'capacity', payroll: 'payroll', training: 'trainedCount' };
+    return COMPONENTS.filter(component => differs(figures.map(f => f[keyOf[component]])));
+}
+
+async function main() {
+    if (process.argv.length !== 4) {
+        console.log("Usage: node crosscheck.js <input_file_path> <schedule_file_path>");
+        process.exit(1);
+    }
+    const [inputPath, schedulePath] = process.argv.slice(2);
+
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    const { schedule, problems } = readOrExit(schedulePath, path => readOutput(path, instance));
+    for (const problem of problems) {
+        console.log(`  dropped: ${schedulePath}:${formatProblem(problem)}`);
+    }
+    schedule.forEach((shifts, dayId) => {
+        const known = shifts.filter(s => instance.getEmployee(s.employeeId));
+        shifts.filter(s => !known.includes(s)).forEach(s => console.log(`  dropped: day ${dayId} ${s} (unknown employee)`));
+        schedule.set(dayId, known);
+    });
+
+    const validator = new PlanningValidator(inputPath, schedulePath, { quiet: true });
+    validator.parseInput();
+    validator.parseOutput();
+    validator.validateAndScore();
+
+    const implementations = [
+        { name: 'PlanningValidator', days: scoreWithValidatorRules(instance, schedule) },
+        { name: 'CodeBashSolver.calculateScore', days: scoreWithCodeBash(inputPath, schedule) },
+        { name: 'sonnet.js calculateScore', days: await scoreWithSonnet(instance, schedule) },
+        { name: 'bah3.js calculateTotalScore', days: scoreWithBah3(inputPath, schedule) },
+    ];
+
+    console.log(`--- Totals for ${schedulePath} ---`);
+    for (const impl of implementations) {
+        const total = impl.days.reduce((sum, d) => sum + d.profit, 0);
+        console.log(`  ${impl.name.padEnd(30)} ${total.toFixed(2).padStart(14)}`);
+    }
+    console.log(`  (PlanningValidator verdict: ${validator.isValid ? 'valid' : `INVALID, ${validator.validationErrors.length} error(s)`})`);
+
+    const counts = { capacity: 0, payroll: 0, training: 0 };
+    let disagreeing = 0;
+    for (const [index, day] of instance.days.entries()) {
+        const figures = implementations.map(impl => impl.days[index]);
+        const components = differingComponents(figures);
+        if (components.length === 0) {
+            continue;
+        }
+        disagreeing++;
+        components.forEach(c => counts[c]++);
+
+        console.log(`\nDay ${day.id}: ${components.join(', ')} ${components.length === 1 ? 'differs' : 'differ'}`);
+        const rows = implementations.map((impl, i) => ({ name: impl.name, ...figures[i] }));
+        console.log(formatTable([
+            { key: 'name', title: 'Implementation' },
+            { key: 'capacity', title: 'Capacity', digits: 4 },
+            { key: 'payroll', title: 'Payroll', digits: 2 },
+            { key: 'trainedCount', title: 'Trained' },
+            { key: 'profit', title: 'Profit', digits: 2 },
+        ], rows));
+    }
+
+    console.log('-'.repeat(50));
+    console.log(`${disagreeing} of ${instance.days.length} day(s) disagree` +
+        ` (capacity: ${counts.capacity}, payroll: ${counts.payroll}, training: ${counts.training})`);
+}
+
+if (require.main === module) {
+    main().catch(e => {
+        console.log(`Error: ${e.message}`);
+        process.exit(1);
+    });
+}
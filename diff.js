@@ -0,0 +1,115 @@
+const { readOutput } = require('./lib/outputParser');
+const { diffSchedules } = require('./lib/scheduleDiff');
+const { scoreSchedule } = require('./lib/scoring');
+const { PlanningValidator } = require('./rep_validator');
+
+// --- Execution ---
+//
+// Shows what changed between two schedules for the same input: shifts added,
+// removed and changed per day and employee, plus the capacity, payroll and
+// profit deltas for each day. Days where neither the shifts nor the figures
+// changed are left out. The figures come from scoring whatever tokens each
+// file yields, so an invalid schedule still gets them; validity is reported
+// separately.
+
+/**
+ * Validates one schedule silently and scores the shifts that could be read.
+ * @returns {{validator: PlanningValidator, schedule: Map|null, score: {total: number, days: object[]}|null}}
+ *     schedule and score are null when the input or the schedule file cannot be read
+ */
+function score(inputPath, schedulePath) {
+    const validator = new PlanningValidator(inputPath, schedulePath, { quiet: true });
+    validator.parseInput();
+    validator.parseOutput();
+    validator.validateAndScore();
+    if (!validator.instance || validator.validationErrors.some(e => e.code === 'FILE_UNREADABLE')) {
+        return { validator, schedule: null, score: null };
+    }
+    const { schedule } = readOutput(schedulePath, validator.instance);
+    return { validator, schedule, score: scoreSchedule(validator.instance, schedule) };
+}
+
+/**
+ * Compares two schedules for the same input.
+ * @returns {{instance: object, oldRun: object, newRun: object, changes: Map}}
+ *     instance is null when either file cannot be read; the runs' validators hold the errors
+ */
+function compareSchedules(inputPath, oldPath, newPath) {
+    const oldRun = score(inputPath, oldPath);
+    const newRun = score(inputPath, newPath);
+    if (!oldRun.score || !newRun.score) {
+        return { instance: null, oldRun, newRun, changes: new Map() };
+    }
+    return {
+        instance: oldRun.validator.instance,
+        oldRun,
+        newRun,
+        changes: diffSchedules(oldRun.schedule, newRun.schedule),
+    };
+}
+
+function formatDelta(before, after, digits) {
+    const delta = after - before;
+    const sign = delta > 0 ? '+' : '';
+    return `${before.toFixed(digits)} -> ${after.toFixed(digits)} (${sign}${delta.toFixed(digits)})`;
+}
+
+function formatStatus(run) {
+    const profit = `profit ${run.score.total.toFixed(2)}`;
+    return run.validator.isValid
+        ? `valid, ${profit}`
+        : `INVALID (${run.validator.validationErrors.length} error(s)), ${profit} from the readable shifts`;
+}
+
+if (require.main === module) {
+    if (process.argv.length !== 5) {
+        console.log("Usage: node diff.js <input_file_path> <old_schedule_file> <new_schedule_file>");
+        process.exit(1);
+    }
+
+    const [inputPath, oldPath, newPath] = process.argv.slice(2);
+    const { instance, oldRun, newRun, changes } = compareSchedules(inputPath, oldPath, newPath);
+    if (!instance) {
+        const unreadable = oldRun.validator.validationErrors.concat(newRun.validator.validationErrors)
+            .filter(e => e.code === 'FILE_UNREADABLE' || e.code === 'INPUT_INVALID');
+        new Set(unreadable.map(e => `[${e.code}] ${e.message}`)).forEach(line => console.error(line));
+        process.exit(1);
+    }
+
+    const oldResults = new Map(oldRun.score.days.map(r => [r.dayId, r]));
+    const newResults = new Map(newRun.score.days.map(r => [r.dayId, r]));
+
+    let changedDays = 0;
+    for (const day of instance.days) {
+        const dayChanges = changes.get(day.id) || [];
+        const before = oldResults.get(day.id);
+        const after = newResults.get(day.id);
+        const figuresDiffer = before && after &&
+            (before.capacity !== after.capacity || before.payroll !== after.payroll || before.profit !== after.profit);
+        if (dayChanges.length === 0 && !figuresDiffer) {
+            continue;
+        }
+        changedDays++;
+
+        console.log(`Day ${day.id}:`);
+        if (before && after) {
+            console.log(`  capacity ${formatDelta(before.capacity, after.capacity, 3)}`);
+            console.log(`  payroll  ${formatDelta(before.payroll, after.payroll, 2)}`);
+            console.log(`  profit   ${formatDelta(before.profit, after.profit, 2)}`);
+        }
+        for (const change of dayChanges) {
+            const tokens = change.kind === 'added' ? change.after.join(' ')
+                : change.kind === 'removed' ? change.before.join(' ')
+                    : `${change.before.join(' ') || '(none)'} -> ${change.after.join(' ') || '(none)'}`;
+            console.log(`  employee ${change.employeeId} ${change.kind}: ${tokens}`);
+        }
+    }
+
+    console.log('-'.repeat(50));
+    console.log(`${changedDays} day(s) differ`);
+    console.log(`old: ${formatStatus(oldRun)}`);
+    console.log(`new: ${formatStatus(newRun)}`);
+    console.log(`profit ${formatDelta(oldRun.score.total, newRun.score.total, 2)}`);
+}
+
+module.exports = { compareSchedules };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProblem, readOutput } = require('./lib/outputParser');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { GeneticSolver } = require('./lib/genetic');
+const { formatProfit } = require('./lib/reportTable');
+const { formatOutput } = require('./lib/textFormat');
+
+// --- Execution ---
+//
+// Evolves a schedule with the genetic algorithm of lib/genetic.js, starting
+// from the given schedules (any solver's output, e.g. rep_gemini.js) or from
+// random ones, and writes the best schedule found, in canonical form. Every
+// schedule it builds is valid. Profits are the official ones, as
+// PlanningValidator computes them.
+
+const INTEGER_OPTIONS = {
+    '--population': 'population',
+    '--generations': 'generations',
+    '--elite': 'elite',
+    '--mutations': 'mutations',
+    '--block': 'blockHours',
+    '--seed': 'seed',
+};
+
+if (require.main === module) {
+    const args = [];
+    const options = {};
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (INTEGER_OPTIONS[arg]) {
+            options[INTEGER_OPTIONS[arg]] = parseInt(process.argv[++i], 10);
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length < 2 || Object.values(options).some(value => !Number.isFinite(value))) {
+        console.log("Usage: node evolve.js [--population <n>] [--generations <n>] [--elite <n>] [--mutations <n>] [--block <hours>] [--seed <n>] <input_file_path> <output_file_path> [<start_schedule_file>...]");
+        process.exit(1);
+    }
+
+    const [inputPath, outputPath, ...startPaths] = args;
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    const seeds = startPaths.map(startPath => {
+        const { schedule, problems } = readOrExit(startPath, path => readOutput(path, instance));
+        for (const problem of problems) {
+            console.log(`  dropped: ${startPath}:${formatProblem(problem)}`);
+        }
+        return schedule;
+    });
+
+    const { blockHours, seed, ...evolveOptions } = options;
+    const solver = new GeneticSolver(instance, { blockHours, seed });
+    const generations = evolveOptions.generations === undefined ? 100 : evolveOptions.generations;
+    const result = solver.evolve(seeds, {
+        ...evolveOptions,
+        onGeneration: (generation, best) => {
+            if (generation % Math.max(1, Math.floor(generations / 10)) === 0) {
+                console.log(`  generation ${generation}: best ${formatProfit(best)}`);
+            }
+        },
+    });
+
+    console.log('-'.repeat(50));
+    if (result.seedTotal !== null) {
+        console.log(`Best start profit: ${formatProfit(result.seedTotal)}`);
+    }
+    console.log(`Best profit:       ${formatProfit(result.total)}`);
+
+    fs.writeFileSync(outputPath, formatOutput(canonicalizeSchedule(result.schedule).schedule) + '\n');
+    console.log(`Best schedule written to ${outputPath}`);
+}
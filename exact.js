@@ -0,0 +1,64 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProblem, readOutput } = require('./lib/outputParser');
+const { dropInvalidShifts } = require('./lib/annealing');
+const { solveExactly } = require('./lib/branchAndBound');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { formatProfit } = require('./lib/reportTable');
+const { formatOutput } = require('./lib/textFormat');
+
+// --- Execution ---
+//
+// Solves an instance to proven optimality with branch and bound (see
+// lib/branchAndBound.js) and writes the optimal schedule. Meant for small
+// instances such as A_Example and B_Week, whose optima serve as ground truth
+// for the heuristics. A known schedule passed with --start (invalid shifts are
+// dropped) gives the search a head start. When the node limit is reached, the
+// best schedule found is written together with the remaining bound.
+
+if (require.main === module) {
+    const args = [];
+    const options = {};
+    let startPath = null;
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--start') {
+            startPath = process.argv[++i];
+        } else if (arg === '--node-limit') {
+            options.nodeLimit = parseInt(process.argv[++i], 10);
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 2 || startPath === undefined || (options.nodeLimit !== undefined && !(options.nodeLimit > 0))) {
+        console.log("Usage: node exact.js [--start <schedule_file>] [--node-limit <n>] <input_file_path> <output_file_path>");
+        process.exit(1);
+    }
+
+    const [inputPath, outputPath] = args;
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    if (startPath) {
+        const { schedule, problems } = readOrExit(startPath, path => readOutput(path, instance));
+        problems.forEach(problem => console.log(`  dropped: ${startPath}:${formatProblem(problem)}`));
+        const repaired = dropInvalidShifts(instance, schedule);
+        repaired.dropped.forEach(({ dayId, code, shift }) => console.log(`  dropped: day ${dayId} ${shift} (${code})`));
+        options.start = repaired.schedule;
+    }
+
+    const result = solveExactly(instance, {
+        ...options,
+        onProgress: (nodes, best, open) => console.log(`  ${nodes} node(s), best ${formatProfit(best)}, ${open} open`),
+    });
+
+    console.log('-'.repeat(50));
+    if (result.proven) {
+        console.log(`Optimal profit: ${formatProfit(result.profit)} (proven, ${result.nodes} node(s))`);
+    } else {
+        const reason = result.unresolved > 0 ? `${result.unresolved} node(s) could not be resolved` : 'node limit reached';
+        console.log(`Best profit: ${formatProfit(result.profit)}, bound: ${formatProfit(result.bound)} (not proven: ${reason})`);
+    }
+
+    fs.writeFileSync(outputPath, formatOutput(canonicalizeSchedule(result.schedule).schedule) + '\n');
+    console.log(`Schedule written to ${outputPath}`);
+}
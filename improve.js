@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatProblem, readOutput } = require('./lib/outputParser');
+const { anneal, dropInvalidShifts } = require('./lib/annealing');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { formatProfit, formatTable } = require('./lib/reportTable');
+const { formatOutput } = require('./lib/textFormat');
+
+// --- Execution ---
+//
+// Polishes an existing schedule (any solver's output) with simulated annealing
+// (see lib/annealing.js) and writes the best schedule found, in canonical
+// form. Unreadable tokens and shifts that break a rule are dropped from the
+// start schedule first, so the result is always valid. Profits are the
+// official ones, as PlanningValidator computes them.
+
+if (require.main === module) {
+    const args = [];
+    const options = {};
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--iterations') {
+            options.iterations = parseInt(process.argv[++i], 10);
+        } else if (arg === '--seed') {
+            options.seed = parseInt(process.argv[++i], 10);
+        } else if (arg === '--temperature') {
+            options.temperature = parseFloat(process.argv[++i]);
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 3 || Object.values(options).some(value => !Number.isFinite(value))) {
+        console.log("Usage: node improve.js [--iterations <n>] [--seed <n>] [--temperature <t>] <input_file_path> <start_schedule_file> <output_file_path>");
+        process.exit(1);
+    }
+
+    const [inputPath, startPath, outputPath] = args;
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    const { schedule, problems } = readOrExit(startPath, path => readOutput(path, instance));
+    for (const problem of problems) {
+        console.log(`  dropped: ${startPath}:${formatProblem(problem)}`);
+    }
+    const repaired = dropInvalidShifts(instance, schedule);
+    for (const { dayId, code, shift } of repaired.dropped) {
+        console.log(`  dropped: day ${dayId} ${shift} (${code})`);
+    }
+
+    const result = anneal(instance, repaired.schedule, {
+        ...options,
+        onProgress: (iteration, current, best) =>
+            console.log(`  iteration ${iteration}: current ${formatProfit(current)}, best ${formatProfit(best)}`),
+    });
+
+    console.log(formatTable([
+        { key: 'move', title: 'Move' },
+        { key: 'tried', title: 'Tried' },
+        { key: 'accepted', title: 'Accepted' },
+        { key: 'improving', title: 'Improving' },
+    ], result.moves));
+    console.log('-'.repeat(50));
+    console.log(`Start temperature: ${result.temperature.toFixed(2)}`);
+    console.log(`Start profit: ${formatProfit(result.startTotal)}`);
+    console.log(`Best profit:  ${formatProfit(result.total)}`);
+
+    fs.writeFileSync(outputPath, formatOutput(canonicalizeSchedule(result.schedule).schedule) + '\n');
+    console.log(`Best schedule written to ${outputPath}`);
+}
@@ -1,4 +1,5 @@
 import fs from 'node:fs';
+import { parseOutput } from './lib/outputParser.js';
 const inputAsString = fs.readFileSync('examples/F_Decade.txt', 'utf8');
 
 const lines = inputAsString.split('\n');
@@ -66,13 +67,11 @@ for (const line of lines.slice(2)) {
 const employeeWorkHoursDict={} // key = employeeId , value = array with number of hours per day
 const schedule = [];
 function scheduleParser(line) {
-  const parts = line.trim().split(/\s+/);
-  if (parts.length === 0) return;
-  const dayId = parseInt(parts[0]);
-  const isClosedDay = parts[1] === '_';
+  const { schedule: parsed, problems } = parseOutput(line);
+  if (parsed.size === 0 || problems.some(p => p.severity === 'error')) return;
+  const [[dayId, parsedShifts]] = parsed;
   const dayInfo = openDays.find(d => d.dayId === dayId);
-   if (isClosedDay) {
-    if (parts.length > 2) return; 
+  if (parsedShifts.length === 0) {
     const dayData = { dayId, shifts: [] };
     schedule.push(dayData);
     return dayData;
@@ -80,21 +79,17 @@ function scheduleParser(line) {
 
   if (!dayInfo) return; 
 
-   const shifts = parts.slice(1).map(token => {
-    const [employeeId, start, end, skill] = token.split('-');
-    const startHour = parseInt(start);
-    const endHour = parseInt(end);
-
-    if ( !Object.hasOwn(employeeWorkHoursDict, employeeId) ) {
-        employeeWorkHoursDict[employeeId] = [];
+  const shifts = parsedShifts.map(shift => {
+    if ( !Object.hasOwn(employeeWorkHoursDict, shift.employeeId) ) {
+        employeeWorkHoursDict[shift.employeeId] = [];
     }
-    employeeWorkHoursDict[employeeId].add(endHour-startHour);
-    
+    employeeWorkHoursDict[shift.employeeId].push(shift.duration);
+
     return {
-      employeeId: parseInt(employeeId),
-      start: startHour,
-      end: endHour,
-      skill,
+      employeeId: shift.employeeId,
+      start: shift.start,
+      end: shift.end,
+      skill: shift.skill,
     };
   });
   // --- Validatie: start < end en integers + binnen openingsuren ---
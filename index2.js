@@ -1,103 +1,50 @@
 const fs = require('fs');
 const path = require('path');
-
-// ---- Helper classes ----
-class Employee {
-    constructor(emp_id, max_hours, salary, learning_rate, teaching_rate, skills, vacation) {
-        this.emp_id = parseInt(emp_id);
-        this.max_hours = parseInt(max_hours);
-        this.salary = parseInt(salary);
-        this.learning_rate = parseInt(learning_rate);
-        this.teaching_rate = parseInt(teaching_rate);
-        this.skills = skills[0] === '_' ? new Set() : new Set(skills);
-        this.vacation = new Set(vacation.filter(v => v !== '_').map(v => parseInt(v)));
-        this.trained_skills = new Set(this.skills);
-        this.training_points = {};
-    }
-}
-
-class Day {
-    constructor(day_id, start = null, end = null, revenue = 0, skills = []) {
-        this.day_id = parseInt(day_id);
-        this.start = start !== null ? parseInt(start) : null;
-        this.end = end !== null ? parseInt(end) : null;
-        this.revenue = revenue;
-        this.skills = skills;
-        this.closed = start === null;
-    }
-}
+const { DayRoster } = require('./lib/dayRoster');
+const { Shift } = require('./lib/domain');
+const { readInput } = require('./lib/inputParser');
 
 // ---- Parsing input ----
-function parseInput(filePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
-
-    const [overtimeModifier, fixedDailyCost] = lines[0].split(' ').map(Number);
-
-    // Skip first two lines (overtime + fixed cost + number of days)
-    let idx = 2;
-    const days = [];
-
-    // Parse days
-    while (idx < lines.length) {
-        const parts = lines[idx].split(' ');
-        if (parts.length === 1) { // closed day
-            days.push(new Day(parts[0]));
-        } else if (parts.length >= 5) { // open day
-            const day_id = parts[0];
-            const start = parts[1];
-            const end = parts[2];
-            const revenue = parseInt(parts[3]);
-            const skillsCSV = parts.slice(4).join(' ');
-            const skills = skillsCSV.split(',');
-            days.push(new Day(day_id, start, end, revenue, skills));
-        } else {
-            break;
-        }
-        idx++;
-    }
-
-    // Parse employees
-    const employees = [];
-    while (idx < lines.length) {
-        const parts = lines[idx].split(' ');
-        if (parts.length < 6) {
-            idx++;
-            continue;
-        }
-        const [emp_id, max_hours, salary, lr, tr, skillsCSV, vacationCSV] = parts;
-        const skills = skillsCSV.split(',');
-        const vacation = vacationCSV ? vacationCSV.split(',') : ['_'];
-        employees.push(new Employee(emp_id, max_hours, salary, lr, tr, skills, vacation));
-        idx++;
-    }
-
-    return { overtimeModifier, fixedDailyCost, days, employees };
-}
+// Day and Employee come from the shared domain module; see lib/inputParser.js.
 
 // ---- Generate simple schedule ----
-function generateSchedule(days, employees) {
+// Every required skill entry is one slot, filled only in the hours where it
+// is still open. An employee can work several shifts (on different skills)
+// as long as DayRoster accepts them, i.e. they pass the validator's rules.
+function generateSchedule(instance) {
     const output = [];
 
-    for (const day of days) {
-        if (day.closed) {
-            output.push(`${day.day_id} _`);
+    for (const day of instance.days) {
+        if (day.isClosed) {
+            output.push(`${day.id} _`);
             continue;
         }
 
-        const shiftTokens = [];
-        for (const skill of day.skills) {
-            for (const emp of employees) {
-                if (emp.vacation.has(day.day_id)) continue;
-                if (emp.trained_skills.has(skill) || true) { // greedy assign
-                    shiftTokens.push(`${emp.emp_id}-${day.start}-${day.end}-${skill}`);
-                    break; // assign one employee per skill
+        const roster = new DayRoster(instance, day);
+        const entriesSoFar = new Map();
+        for (const skill of day.requiredSkills) {
+            const slots = (entriesSoFar.get(skill) || 0) + 1;
+            entriesSoFar.set(skill, slots);
+
+            for (const gap of roster.gaps(skill, workers => workers.length < slots)) {
+                let from = gap.start;
+                while (from < gap.end) {
+                    // greedy assign: the first employee free at this hour, for as long as they are free
+                    const emp = instance.employees.find(e => roster.freeUntil(e.id, from, gap.end) > from);
+                    if (!emp) {
+                        from++;
+                        continue;
+                    }
+                    const until = roster.freeUntil(emp.id, from, gap.end);
+                    roster.add(new Shift(emp.id, from, until, skill));
+                    from = until;
                 }
             }
         }
 
+        const shiftTokens = roster.shifts.map(shift => shift.toString());
         if (shiftTokens.length === 0) shiftTokens.push('_');
-        output.push(`${day.day_id} ${shiftTokens.join(' ')}`);
+        output.push(`${day.id} ${shiftTokens.join(' ')}`);
     }
 
     return output;
@@ -121,8 +68,8 @@ function main() {
         process.exit(1);
     }
 
-    const { overtimeModifier, fixedDailyCost, days, employees } = parseInput(absInput);
-    const schedule = generateSchedule(days, employees);
+    const instance = readInput(absInput);
+    const schedule = generateSchedule(instance);
     fs.writeFileSync(absOutput, schedule.join('\n'));
     console.log(`Output geschreven naar ${absOutput}`);
 }
@@ -0,0 +1,192 @@
+const { Shift } = require('./domain');
+const { IncrementalScorer } = require('./incrementalScoring');
+const { findShiftViolations } = require('./shiftRules');
+
+// --- Simulated Annealing ---
+//
+// Improves an existing schedule with random local moves on one day at a time:
+//   reassign  give a shift to another employee
+//   swap      exchange the employees of two shifts
+//   start     move a shift's start one hour earlier or later
+//   end       move a shift's end one hour earlier or later
+//   skill     switch a shift to another skill the day requires
+//   drop      remove a shift
+//   add       add a shift for a random employee, skill and time window
+// Moves that break a shift rule (lib/shiftRules.js) are discarded before
+// scoring, so the schedule stays valid throughout. The rest are priced by the
+// incremental scorer and accepted if they gain profit, or with probability
+// exp(delta / T) if they lose some. T falls geometrically from the starting
+// temperature to a thousandth of it over the run. Without a given starting
+// temperature, a fiftieth of the median loss of a sample of moves is used: most
+// moves on a well-staffed day lose a lot, and accepting them freely early on
+// wrecks the start schedule faster than the run can rebuild it.
+
+const MOVES = ['reassign', 'swap', 'start', 'end', 'skill', 'drop', 'add'];
+const START_TEMPERATURE_RATIO = 0.02;
+const FINAL_TEMPERATURE_RATIO = 1e-3;
+const TEMPERATURE_SAMPLE = 200;
+const MAX_PROPOSALS = 10000; // per move, before giving up on finding a valid one
+
+/**
+ * Small seeded generator (mulberry32), so runs can be repeated.
+ * @param {number} seed
+ * @returns {() => number} Uniform in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Drops every shift that breaks a shift rule, so the search starts valid.
+ * @param {import('./domain').Instance} instance
+ * @param {Map<number, Shift[]>} schedule
+ * @returns {{schedule: Map<number, Shift[]>, dropped: {dayId: number, code: string, shift: Shift}[]}}
+ */
+function dropInvalidShifts(instance, schedule) {
+    const repaired = new Map();
+    const dropped = [];
+    for (const day of instance.days) {
+        const shifts = schedule.get(day.id) || [];
+        const violations = findShiftViolations(instance, day, shifts);
+        const bad = new Set(violations.map(v => v.shift));
+        violations.forEach(({ code, shift }) => dropped.push({ dayId: day.id, code, shift }));
+        repaired.set(day.id, shifts.filter(shift => !bad.has(shift)));
+    }
+    return { schedule: repaired, dropped };
+}
+
+/**
+ * Builds the new shift list of a day for one random move.
+ * @returns {Shift[]|null} null when the move does not apply to the day
+ */
+function proposeMove(move, instance, day, shifts, random) {
+    const pick = items => items[Math.floor(random() * items.length)];
+    const position = Math.floor(random() * shifts.length);
+    const shift = shifts[position];
+    const replace = replacement => shifts.map((s, i) => (i === position ? replacement : s));
+    const skills = [...new Set(day.requiredSkills)];
+
+    switch (move) {
+        case 'reassign': {
+            const employee = pick(instance.employees);
+            return shift && employee.id !== shift.employeeId
+                ? replace(new Shift(employee.id, shift.start, shift.end, shift.skill)) : null;
+        }
+        case 'swap': {
+            const otherPosition = Math.floor(random() * shifts.length);
+            const other = shifts[otherPosition];
+            if (!shift || other.employeeId === shift.employeeId) return null;
+            return shifts.map((s, i) => {
+                if (i === position) return new Shift(other.employeeId, s.start, s.end, s.skill);
+                if (i === otherPosition) return new Shift(shift.employeeId, s.start, s.end, s.skill);
+                return s;
+            });
+        }
+        case 'start':
+        case 'end': {
+            if (!shift) return null;
+            const step = random() < 0.5 ? -1 : 1;
+            const start = move === 'start' ? shift.start + step : shift.start;
+            const end = move === 'end' ? shift.end + step : shift.end;
+            return end > start ? replace(new Shift(shift.employeeId, start, end, shift.skill)) : null;
+        }
+        case 'skill': {
+            const skill = pick(skills);
+            return shift && skill !== shift.skill
+                ? replace(new Shift(shift.employeeId, shift.start, shift.end, skill)) : null;
+        }
+        case 'drop':
+            return shift ? shifts.filter((_, i) => i !== position) : null;
+        case 'add': {
+            const a = day.start + Math.floor(random() * day.duration);
+            const b = day.start + Math.floor(random() * day.duration);
+            return [...shifts, new Shift(pick(instance.employees).id, Math.min(a, b), Math.max(a, b) + 1, pick(skills))];
+        }
+        default:
+            throw new Error(`Unknown move '${move}'`);
+    }
+}
+
+/**
+ * Runs the annealing search from a schedule.
+ * @param {import('./domain').Instance} instance
+ * @param {Map<number, Shift[]>} schedule Valid starting schedule; see dropInvalidShifts
+ * @param {{iterations?: number, seed?: number, temperature?: number, onProgress?: Function}} [options]
+ *     onProgress(iteration, currentTotal, bestTotal) is called every tenth of the run
+ * @returns {{schedule: Map<number, Shift[]>, total: number, startTotal: number, temperature: number,
+ *     moves: {move: string, tried: number, accepted: number, improving: number}[]}}
+ */
+function anneal(instance, schedule, { iterations = 20000, seed = 1, temperature, onProgress } = {}) {
+    const random = createRandom(seed);
+    const scorer = new IncrementalScorer(instance, schedule);
+    const openDays = instance.days.filter(day => !day.isClosed && day.requiredSkills.length > 0);
+    const stats = new Map(MOVES.map(move => [move, { move, tried: 0, accepted: 0, improving: 0 }]));
+    const startTotal = scorer.total;
+
+    // A random valid move on a random day, priced; null if none turns up
+    const tryMove = () => {
+        for (let attempt = 0; attempt < MAX_PROPOSALS; attempt++) {
+            const day = openDays[Math.floor(random() * openDays.length)];
+            const move = MOVES[Math.floor(random() * MOVES.length)];
+            const shifts = proposeMove(move, instance, day, scorer.shiftsOn(day.id), random);
+            if (shifts && findShiftViolations(instance, day, shifts).length === 0) {
+                return { move, trial: scorer.evaluate(new Map([[day.id, shifts]])) };
+            }
+        }
+        return null;
+    };
+
+    if (openDays.length === 0 || iterations <= 0) {
+        return { schedule: scorer.schedule(), total: startTotal, startTotal, temperature: 0, moves: [...stats.values()] };
+    }
+
+    let startTemperature = temperature;
+    if (startTemperature === undefined) {
+        const losses = [];
+        for (let i = 0; i < TEMPERATURE_SAMPLE; i++) {
+            const proposal = tryMove();
+            if (proposal && proposal.trial.delta < 0) losses.push(-proposal.trial.delta);
+        }
+        losses.sort((a, b) => a - b);
+        startTemperature = losses.length > 0 ? losses[Math.floor(losses.length / 2)] * START_TEMPERATURE_RATIO : 1;
+    }
+    const cooling = Math.pow(FINAL_TEMPERATURE_RATIO, 1 / iterations);
+
+    let best = { total: scorer.total, schedule: scorer.schedule() };
+    let current = startTemperature;
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+        const proposal = tryMove();
+        if (!proposal) break;
+        const { move, trial } = proposal;
+        const entry = stats.get(move);
+        entry.tried++;
+        if (trial.delta >= 0 || random() < Math.exp(trial.delta / current)) {
+            scorer.commit(trial);
+            entry.accepted++;
+            if (trial.delta > 0) entry.improving++;
+            if (scorer.total > best.total) {
+                best = { total: scorer.total, schedule: scorer.schedule() };
+            }
+        }
+        current *= cooling;
+        if (onProgress && iteration % Math.max(1, Math.floor(iterations / 10)) === 0) {
+            onProgress(iteration, scorer.total, best.total);
+        }
+    }
+
+    return { schedule: best.schedule, total: best.total, startTotal, temperature: startTemperature, moves: [...stats.values()] };
+}
+
+module.exports = {
+    MOVES,
+    anneal,
+    createRandom,
+    dropInvalidShifts,
+};
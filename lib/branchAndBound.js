@@ -0,0 +1,347 @@
+const { Shift, TRAINED_POINTS } = require('./domain');
+const { mergeShifts } = require('./canonicalSchedule');
+const { scoreSchedule } = require('./scoring');
+const { skillDemand } = require('./skillDemand');
+const { solveLinearProgram } = require('./simplex');
+
+// --- Exact Solver (branch and bound) ---
+//
+// Finds a schedule with the highest official profit and proves that nothing
+// beats it. Every candidate schedule is scored with the engine's official
+// profile, so "optimal" means optimal for PlanningValidator.
+//
+// Within a day all opening hours need the same skills, and payroll and
+// end-of-day training only depend on how many hours each employee works on
+// each skill. So the search works on hour totals: y[d, e, s] hours of
+// employee e on skill s on day d. A linear program over those totals bounds
+// the profit of every schedule below a search node:
+//   - coverage of a skill is at most trained hours + half the untrained hours,
+//     and at most slots x opening hours
+//   - revenue R x C^2 is at most the chord of C^2 over the allowed capacity
+//     range [lo, hi], which is R x C at the root
+//   - weekly hours split into base hours (up to max_hours_per_week) and
+//     overtime, paid at their own rates
+//   - an untrained employee counts as trained on a day if enough points could
+//     have been earned by then, at the highest teaching rate in the instance
+// Nodes are pruned when their bound is no better than the best schedule found.
+// Otherwise the search branches, in this order, on
+//   1. training: a bound that relies on employee e being trained in skill s
+//      from day d on splits into "still untrained on day d" and "trained by
+//      day d", the latter requiring enough earlier learning hours
+//   2. fractional hour totals: y <= floor(v) or y >= ceil(v)
+//   3. a day whose capacity lies strictly inside its range, which splits the
+//      range so the chord gets closer to C^2
+// Whole-hour totals are laid out into hours and shifts, scored, and kept when
+// they beat the best schedule so far. When a node's bound is not reached by
+// its own layout and no branching rule applies, the node stays open and the
+// result is reported as not proven.
+
+const EPSILON = 1e-6;
+
+/**
+ * Days from which an untrained employee could count as trained: the first day
+ * by which every earlier open, non-vacation day spent learning at the highest
+ * teaching rate in the instance adds up to TRAINED_POINTS.
+ * @param {import('./domain').Instance} instance
+ * @param {import('./domain').Day[]} days Days in id order
+ * @returns {Map<string, number>} "employeeId skill" -> index into `days`
+ *     (Infinity if never), for required skills the employee lacks
+ */
+function earliestTraining(instance, days) {
+    const maxTeaching = Math.max(1, ...instance.employees.map(e => e.teachingRate));
+    const requiredSkills = new Set(days.flatMap(day => day.requiredSkills));
+    const earliest = new Map();
+    for (const employee of instance.employees) {
+        const rate = employee.learningRate * maxTeaching;
+        for (const skill of requiredSkills) {
+            if (employee.initialSkills.has(skill)) continue;
+            let points = 0;
+            let index = 0;
+            while (index < days.length && points < TRAINED_POINTS) {
+                const day = days[index++];
+                if (!day.isClosed && !employee.isOnVacation(day.id)) points += day.duration * rate;
+            }
+            earliest.set(`${employee.id} ${skill}`, points >= TRAINED_POINTS && index < days.length ? index : Infinity);
+        }
+    }
+    return earliest;
+}
+
+/**
+ * Static data the models are built from.
+ */
+function prepare(instance) {
+    const days = [...instance.days].sort((a, b) => a.id - b.id);
+    const maxTeaching = Math.max(1, ...instance.employees.map(e => e.teachingRate));
+    return { instance, days, maxTeaching, earliestTraining: earliestTraining(instance, days) };
+}
+
+/**
+ * Builds the bounding LP of a node.
+ * @returns {{problem: object, y: Map<string, {index: number, dayIndex: number, employeeId: number, skill: string, trained: boolean, optimistic: boolean}>, capacity: Map<number, number[]>}}
+ */
+function buildModel(data, node) {
+    const { instance, days, maxTeaching } = data;
+    const weekOf = day => Math.floor(day.id / 7);
+    const variables = [];
+    const addVariable = info => variables.push(info) - 1;
+    const objective = [];
+    const constraints = [];
+
+    const y = new Map();
+    const learning = new Map(); // "dayIndex employeeId skill" -> variable, for required training
+    const weekTerms = new Map(); // "employeeId week" -> terms
+    const capacity = new Map(); // dayIndex -> [terms of C]
+
+    for (const [index, day] of days.entries()) {
+        if (day.isClosed) continue;
+        const demand = skillDemand(day.requiredSkills);
+        const totalNeed = day.totalSkillHours();
+        const capacityTerms = [];
+        const coverage = new Map();
+        for (const [skill, slots] of demand) {
+            const variable = addVariable({ kind: 'coverage' });
+            coverage.set(skill, [[variable, -1]]);
+            constraints.push({ terms: [[variable, 1]], type: '<=', rhs: slots * day.duration });
+            capacityTerms.push([variable, 1 / totalNeed]);
+        }
+
+        for (const employee of instance.employees) {
+            if (employee.isOnVacation(day.id)) continue;
+            const dayTerms = [];
+            const weekKey = `${employee.id} ${weekOf(day)}`;
+            if (!weekTerms.has(weekKey)) weekTerms.set(weekKey, []);
+            for (const skill of demand.keys()) {
+                const key = `${employee.id} ${skill}`;
+                const initial = employee.initialSkills.has(skill);
+                const required = node.required.has(key) && node.required.get(key) <= index;
+                const optimistic = !initial && !required && node.earliest.get(key) <= index;
+                const variable = addVariable({ kind: 'hours' });
+                y.set(`${index} ${employee.id} ${skill}`, {
+                    index: variable, dayIndex: index, employeeId: employee.id, skill,
+                    trained: initial || required || optimistic, optimistic,
+                });
+                coverage.get(skill).push([variable, initial || required || optimistic ? 1 : 0.5]);
+                dayTerms.push([variable, 1]);
+            }
+            // Learning a skill the day does not need, for required training only
+            node.required.forEach((byDay, key) => {
+                const [employeeId, skill] = key.split(' ');
+                if (Number(employeeId) !== employee.id || demand.has(skill) || index >= byDay) return;
+                const variable = addVariable({ kind: 'learning' });
+                learning.set(`${index} ${key}`, variable);
+                dayTerms.push([variable, 1]);
+            });
+            constraints.push({ terms: dayTerms, type: '<=', rhs: day.duration });
+            weekTerms.get(weekKey).push(...dayTerms);
+        }
+        coverage.forEach(terms => constraints.push({ terms, type: '>=', rhs: 0 }));
+
+        // Revenue under the chord of R x C^2 over [lo, hi]
+        const [lo, hi] = node.capacity.get(index) || [0, 1];
+        const revenue = addVariable({ kind: 'revenue' });
+        objective.push([revenue, 1]);
+        constraints.push({
+            terms: [[revenue, 1], ...capacityTerms.map(([v, a]) => [v, -day.revenue * (lo + hi) * a])],
+            type: '<=', rhs: -day.revenue * lo * hi,
+        });
+        constraints.push({ terms: capacityTerms, type: '>=', rhs: lo });
+        constraints.push({ terms: capacityTerms, type: '<=', rhs: hi });
+        capacity.set(index, capacityTerms);
+    }
+
+    // Weekly base and overtime hours
+    weekTerms.forEach((terms, key) => {
+        const employee = instance.getEmployee(Number(key.split(' ')[0]));
+        const base = addVariable({ kind: 'base' });
+        const overtime = addVariable({ kind: 'overtime' });
+        objective.push([base, -employee.salaryPerHour], [overtime, -instance.organization.overtimeRate(employee.salaryPerHour)]);
+        constraints.push({ terms: [[base, 1]], type: '<=', rhs: employee.maxHoursPerWeek });
+        constraints.push({ terms: [...terms.map(([v]) => [v, 1]), [base, -1], [overtime, -1]], type: '=', rhs: 0 });
+    });
+
+    // Required training: enough learning hours before the day
+    node.required.forEach((byDay, key) => {
+        const [employeeId, skill] = key.split(' ');
+        const employee = instance.getEmployee(Number(employeeId));
+        const terms = [];
+        for (let index = 0; index < byDay; index++) {
+            const hours = y.get(`${index} ${key}`);
+            const variable = hours ? hours.index : learning.get(`${index} ${key}`);
+            if (variable !== undefined) terms.push([variable, employee.learningRate * maxTeaching]);
+        }
+        constraints.push({ terms, type: '>=', rhs: TRAINED_POINTS });
+    });
+
+    for (const { key, type, value } of node.bounds) {
+        constraints.push({ terms: [[y.get(key).index, 1]], type, rhs: value });
+    }
+
+    const fixedCosts = days.length * instance.organization.fixedCost;
+    return { problem: { variables: variables.length, objective, constraints }, y, capacity, fixedCosts };
+}
+
+/**
+ * Lays whole-hour totals out into hours and shifts. Each employee's hours go
+ * where their skill is least covered so far, which spreads coverage evenly.
+ * @returns {Map<number, Shift[]>}
+ */
+function layOut(data, hours) {
+    const schedule = new Map(data.days.map(day => [day.id, []]));
+    const byDay = new Map();
+    hours.forEach((amount, entry) => {
+        if (amount <= 0) return;
+        if (!byDay.has(entry.dayIndex)) byDay.set(entry.dayIndex, []);
+        byDay.get(entry.dayIndex).push({ ...entry, amount });
+    });
+
+    byDay.forEach((entries, dayIndex) => {
+        const day = data.days[dayIndex];
+        const load = new Map(); // "hour skill" -> half slots filled
+        const busy = new Set(); // "hour employeeId"
+        const units = [];
+        const totals = new Map();
+        entries.forEach(e => totals.set(e.employeeId, (totals.get(e.employeeId) || 0) + e.amount));
+        entries.sort((a, b) => totals.get(b.employeeId) - totals.get(a.employeeId) || b.amount - a.amount || a.employeeId - b.employeeId);
+        for (const entry of entries) {
+            for (let n = 0; n < entry.amount; n++) {
+                let bestHour = -1;
+                for (let hour = day.start; hour < day.end; hour++) {
+                    if (busy.has(`${hour} ${entry.employeeId}`)) continue;
+                    if (bestHour === -1 || (load.get(`${hour} ${entry.skill}`) || 0) < (load.get(`${bestHour} ${entry.skill}`) || 0)) {
+                        bestHour = hour;
+                    }
+                }
+                if (bestHour === -1) break;
+                busy.add(`${bestHour} ${entry.employeeId}`);
+                const loadKey = `${bestHour} ${entry.skill}`;
+                load.set(loadKey, (load.get(loadKey) || 0) + (entry.trained ? 2 : 1));
+                units.push(new Shift(entry.employeeId, bestHour, bestHour + 1, entry.skill));
+            }
+        }
+        schedule.set(day.id, mergeShifts(units));
+    });
+    return schedule;
+}
+
+/**
+ * Searches for a provably optimal schedule.
+ * @param {import('./domain').Instance} instance
+ * @param {{start?: Map<number, Shift[]>, nodeLimit?: number, onProgress?: Function}} [options]
+ *     start: a known valid schedule to begin with; onProgress(nodes, best, openNodes) every 1000 nodes
+ * @returns {{schedule: Map<number, Shift[]>, profit: number, bound: number, proven: boolean,
+ *     nodes: number, unresolved: number}}
+ */
+function solveExactly(instance, { start, nodeLimit = 100000, onProgress } = {}) {
+    const data = prepare(instance);
+    const emptySchedule = new Map(data.days.map(day => [day.id, []]));
+    let best = { schedule: emptySchedule, profit: scoreSchedule(instance, emptySchedule).total };
+    if (start) {
+        const profit = scoreSchedule(instance, start).total;
+        if (profit > best.profit) best = { schedule: start, profit };
+    }
+    const consider = schedule => {
+        const profit = scoreSchedule(instance, schedule).total;
+        if (profit > best.profit + EPSILON) best = { schedule, profit };
+        return profit;
+    };
+
+    // `bound` is the parent's bound, which holds for the node until it is solved
+    const root = { earliest: data.earliestTraining, required: new Map(), bounds: [], capacity: new Map(), bound: Infinity };
+    const stack = [root];
+    let nodes = 0;
+    let unresolved = 0;
+    let openBound = -Infinity; // highest bound of nodes left open (unresolved or over the limit)
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (nodes >= nodeLimit) {
+            openBound = [node, ...stack].reduce((max, open) => Math.max(max, open.bound), openBound);
+            break;
+        }
+        nodes++;
+        if (onProgress && nodes % 1000 === 0) onProgress(nodes, best.profit, stack.length);
+
+        const model = buildModel(data, node);
+        const result = solveLinearProgram(model.problem);
+        if (result.status !== 'optimal') continue;
+        const bound = result.value - model.fixedCosts;
+        if (bound <= best.profit + EPSILON) continue;
+
+        const hours = new Map();
+        model.y.forEach(entry => hours.set(entry, result.x[entry.index]));
+
+        // 1. Training the bound takes for granted
+        let optimistic = null;
+        model.y.forEach(entry => {
+            if (entry.optimistic && hours.get(entry) > EPSILON && (!optimistic || entry.dayIndex < optimistic.dayIndex)) {
+                optimistic = entry;
+            }
+        });
+        if (optimistic) {
+            const key = `${optimistic.employeeId} ${optimistic.skill}`;
+            const trainedBy = new Map(node.required).set(key, optimistic.dayIndex);
+            const untrained = new Map(node.earliest).set(key, optimistic.dayIndex + 1);
+            stack.push({ ...node, bound, required: trainedBy });
+            stack.push({ ...node, bound, earliest: untrained });
+            continue;
+        }
+
+        // Rounded-down totals are always a valid schedule
+        const floored = new Map();
+        hours.forEach((value, entry) => floored.set(entry, Math.floor(value + EPSILON)));
+        const layoutProfit = consider(layOut(data, floored));
+
+        // 2. Fractional hour totals
+        let fractional = null;
+        let distance = 0;
+        model.y.forEach((entry, key) => {
+            const value = hours.get(entry);
+            const away = Math.min(value - Math.floor(value), Math.ceil(value) - value);
+            if (away > EPSILON && away > distance) {
+                fractional = { key, value };
+                distance = away;
+            }
+        });
+        if (fractional) {
+            stack.push({ ...node, bound, bounds: [...node.bounds, { key: fractional.key, type: '>=', value: Math.ceil(fractional.value) }] });
+            stack.push({ ...node, bound, bounds: [...node.bounds, { key: fractional.key, type: '<=', value: Math.floor(fractional.value) }] });
+            continue;
+        }
+        if (layoutProfit >= bound - EPSILON) {
+            continue;
+        }
+
+        // 3. A day whose capacity the chord overestimates
+        let split = null;
+        model.capacity.forEach((terms, dayIndex) => {
+            const [lo, hi] = node.capacity.get(dayIndex) || [0, 1];
+            const value = terms.reduce((sum, [v, a]) => sum + a * result.x[v], 0);
+            if (!split && value > lo + EPSILON && value < hi - EPSILON) split = { dayIndex, value, lo, hi };
+        });
+        if (split) {
+            const step = 0.5 / data.days[split.dayIndex].totalSkillHours();
+            const below = Math.floor(split.value / step + EPSILON) * step;
+            stack.push({ ...node, bound, capacity: new Map(node.capacity).set(split.dayIndex, [below + step, split.hi]) });
+            stack.push({ ...node, bound, capacity: new Map(node.capacity).set(split.dayIndex, [split.lo, below]) });
+            continue;
+        }
+
+        unresolved++;
+        openBound = Math.max(openBound, bound);
+    }
+
+    return {
+        schedule: best.schedule,
+        profit: best.profit,
+        bound: Math.max(best.profit, openBound),
+        proven: openBound <= best.profit + EPSILON,
+        nodes,
+        unresolved,
+    };
+}
+
+module.exports = {
+    earliestTraining,
+    solveExactly,
+};
@@ -0,0 +1,112 @@
+const { Shift } = require('./domain');
+
+// --- Canonical Schedule Form ---
+//
+// Different solvers write the same plan in different ways: one-hour tokens or
+// merged ones, grouped by skill or by employee, `5_` or `5 _`. The canonical
+// form makes equal plans byte-identical:
+//   - day lines in ascending day id order, empty days written `id _`
+//   - exact duplicate tokens removed
+//   - contiguous shifts of one employee on one skill merged (9-12 + 12-15 -> 9-15)
+//   - tokens sorted by employee id, start, end, then skill
+// Merging and sorting leave the score unchanged: coverage, payroll and training
+// are all counted per worked hour. Dropping a duplicate does change validity,
+// since the validator reports it as an overlap.
+
+/**
+ * Deterministic token order: employee, start, end, skill (code point order,
+ * so the result does not depend on the locale).
+ * @param {{employeeId: number, start: number, end: number, skill: string}} a
+ * @param {{employeeId: number, start: number, end: number, skill: string}} b
+ * @returns {number}
+ */
+function compareShifts(a, b) {
+    if (a.employeeId !== b.employeeId) return a.employeeId - b.employeeId;
+    if (a.start !== b.start) return a.start - b.start;
+    if (a.end !== b.end) return a.end - b.end;
+    return a.skill < b.skill ? -1 : a.skill > b.skill ? 1 : 0;
+}
+
+/**
+ * Merges contiguous shifts of the same employee and skill, whatever their
+ * length. Overlapping shifts are left alone so the overlap stays visible.
+ * The input is not modified.
+ * @param {{employeeId: number, start: number, end: number, skill: string}[]} shifts
+ * @returns {Shift[]} Merged shifts, grouped by employee and skill, each group by start
+ */
+function mergeShifts(shifts) {
+    const groups = new Map(); // "employeeId skill" -> shifts
+    for (const shift of shifts) {
+        const key = `${shift.employeeId} ${shift.skill}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(shift);
+    }
+
+    const merged = [];
+    for (const group of groups.values()) {
+        group.sort((a, b) => a.start - b.start || a.end - b.end);
+        let current = new Shift(group[0].employeeId, group[0].start, group[0].end, group[0].skill);
+        for (const next of group.slice(1)) {
+            if (next.start === current.end) {
+                current.end = next.end;
+            } else {
+                merged.push(current);
+                current = new Shift(next.employeeId, next.start, next.end, next.skill);
+            }
+        }
+        merged.push(current);
+    }
+    return merged;
+}
+
+/**
+ * Removes exact duplicates (same employee, hours and skill), keeping the first.
+ * @param {Shift[]} shifts
+ * @returns {Shift[]}
+ */
+function dedupeShifts(shifts) {
+    const seen = new Set();
+    return shifts.filter(shift => {
+        const token = shift.toString();
+        return seen.has(token) ? false : seen.add(token);
+    });
+}
+
+/**
+ * @param {Shift[]} shifts One day's shifts
+ * @returns {{shifts: Shift[], duplicatesRemoved: number, merges: number}}
+ */
+function canonicalizeDay(shifts) {
+    const unique = dedupeShifts(shifts);
+    const merged = mergeShifts(unique).sort(compareShifts);
+    return {
+        shifts: merged,
+        duplicatesRemoved: shifts.length - unique.length,
+        merges: unique.length - merged.length,
+    };
+}
+
+/**
+ * Puts a whole schedule in canonical form.
+ * @param {Map<number, Shift[]>} schedule
+ * @returns {{schedule: Map<number, Shift[]>, duplicatesRemoved: number, merges: number}}
+ */
+function canonicalizeSchedule(schedule) {
+    const result = new Map();
+    let duplicatesRemoved = 0;
+    let merges = 0;
+    for (const dayId of [...schedule.keys()].sort((a, b) => a - b)) {
+        const day = canonicalizeDay(schedule.get(dayId));
+        result.set(dayId, day.shifts);
+        duplicatesRemoved += day.duplicatesRemoved;
+        merges += day.merges;
+    }
+    return { schedule: result, duplicatesRemoved, merges };
+}
+
+module.exports = {
+    compareShifts,
+    mergeShifts,
+    canonicalizeDay,
+    canonicalizeSchedule,
+};
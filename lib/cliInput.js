@@ -0,0 +1,33 @@
+const { InputParseError, formatDiagnostic } = require('./inputParser');
+
+// --- Command-Line File Reading ---
+//
+// The command-line tools read their files through readOrExit, so a missing,
+// unreadable or malformed file ends the run with one message and exit code 1
+// instead of a stack trace.
+
+/**
+ * Reads a file with `read`, or reports why it cannot be read and exits with 1.
+ * Errors that are neither file errors nor input diagnostics are rethrown.
+ * @template T
+ * @param {string} filePath
+ * @param {(filePath: string) => T} read e.g. `path => readInput(path, { strict: true })`
+ * @returns {T}
+ */
+function readOrExit(filePath, read) {
+    try {
+        return read(filePath);
+    } catch (e) {
+        if (e instanceof InputParseError) {
+            console.log(`Cannot read ${filePath}: ${e.diagnostics.length} problem(s) in input`);
+            e.diagnostics.forEach(d => console.log(`  ${filePath}:${formatDiagnostic(d)}`));
+        } else if (e.code) {
+            console.log(`File not found or inaccessible: ${filePath} (${e.code})`);
+        } else {
+            throw e;
+        }
+        process.exit(1);
+    }
+}
+
+module.exports = { readOrExit };
@@ -0,0 +1,119 @@
+const { Shift } = require('./domain');
+const { findShiftViolations } = require('./shiftRules');
+
+// --- Day Roster ---
+//
+// One day's shifts while a solver builds them. An employee may take several
+// shifts, on different skills (Cashier 9-13 and Stocking 13-17), as long as
+// every shift passes the shift rules of lib/shiftRules.js: the same checks
+// PlanningValidator and CodeBashSolver.validateSchedule apply, so a roster
+// can only hold a valid day. Solvers ask for the runs of hours where a skill
+// is still short and staff only those.
+
+class DayRoster {
+    /**
+     * @param {import('./domain').Instance} instance
+     * @param {import('./domain').Day} day
+     */
+    constructor(instance, day) {
+        this.instance = instance;
+        this.day = day;
+        /** @type {Shift[]} */
+        this.shifts = [];
+        this._byEmployee = new Map(); // employeeId -> Shift[]
+    }
+
+    /**
+     * @param {number} employeeId
+     * @returns {Shift[]}
+     */
+    shiftsOf(employeeId) {
+        return this._byEmployee.get(employeeId) || [];
+    }
+
+    /**
+     * Whether the employee can take [start, end) on top of their shifts so far.
+     * @param {number} employeeId
+     * @param {number} start
+     * @param {number} end
+     * @returns {boolean}
+     */
+    canWork(employeeId, start, end) {
+        const candidate = new Shift(employeeId, start, end, '');
+        return findShiftViolations(this.instance, this.day, [...this.shiftsOf(employeeId), candidate]).length === 0;
+    }
+
+    /**
+     * End of the longest run from `from` (at most up to `to`) the employee can take.
+     * @returns {number} `from` when the employee cannot work at `from`
+     */
+    freeUntil(employeeId, from, to) {
+        let end = from;
+        while (end < to && this.canWork(employeeId, from, end + 1)) {
+            end++;
+        }
+        return end;
+    }
+
+    /**
+     * @param {Shift} shift
+     * @throws {Error} if the shift breaks a shift rule
+     */
+    add(shift) {
+        const violations = findShiftViolations(this.instance, this.day, [...this.shiftsOf(shift.employeeId), shift]);
+        if (violations.length > 0) {
+            throw new Error(`Shift ${shift} breaks ${violations[0].code} on day ${this.day.id}`);
+        }
+        this.shifts.push(shift);
+        this._byEmployee.set(shift.employeeId, [...this.shiftsOf(shift.employeeId), shift]);
+    }
+
+    /**
+     * Shifts on a skill during an hour.
+     * @param {number} hour
+     * @param {string} skill
+     * @returns {Shift[]}
+     */
+    workersAt(hour, skill) {
+        return this.shifts.filter(s => s.skill === skill && s.start <= hour && hour < s.end);
+    }
+
+    /**
+     * Maximal runs of opening hours in which a skill is short.
+     * @param {string} skill
+     * @param {(workers: Shift[], hour: number) => boolean} isShort Given the shifts on the skill that hour
+     * @returns {{start: number, end: number}[]}
+     */
+    gaps(skill, isShort) {
+        const runs = [];
+        for (let hour = this.day.start; hour < this.day.end; hour++) {
+            if (!isShort(this.workersAt(hour, skill), hour)) continue;
+            const last = runs[runs.length - 1];
+            if (last && last.end === hour) last.end++;
+            else runs.push({ start: hour, end: hour + 1 });
+        }
+        return runs;
+    }
+}
+
+/**
+ * Staffing levels of a day, from all its shifts down to none: each level is
+ * the one before without the next shift of `dropOrder`.
+ * @param {Shift[]} shifts
+ * @param {Shift[]} dropOrder The same shifts, the first to drop first
+ * @returns {Shift[][]} shifts.length + 1 levels, each in the order of `shifts`
+ */
+function staffingLevels(shifts, dropOrder) {
+    const levels = [shifts];
+    let kept = shifts;
+    for (const dropped of dropOrder) {
+        kept = kept.filter(shift => shift !== dropped);
+        levels.push(kept);
+    }
+    return levels;
+}
+
+module.exports = {
+    DayRoster,
+    staffingLevels,
+};
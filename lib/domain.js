@@ -0,0 +1,199 @@
+// --- Planning Domain Model ---
+//
+// Canonical shapes for an instance (organization, days, employees) and for
+// scheduled shifts. The validator and every solver build on these classes so
+// an input file means the same thing no matter which script reads it.
+
+/**
+ * Training points at which an employee counts as trained in a skill.
+ */
+const TRAINED_POINTS = 1000;
+
+/**
+ * Stores global cost and modifier settings.
+ */
+class Organization {
+    /**
+     * @param {number} overtimeMod Overtime modifier in percent (150 = 1.5x)
+     * @param {number} fixedCost Fixed cost charged for every calendar day
+     */
+    constructor(overtimeMod, fixedCost) {
+        this.overtimeMod = overtimeMod;
+        this.fixedCost = fixedCost;
+    }
+
+    /**
+     * Hourly overtime wage: floor(salary * modifier / 100).
+     * @param {number} salaryPerHour
+     * @returns {number}
+     */
+    overtimeRate(salaryPerHour) {
+        return Math.floor(salaryPerHour * this.overtimeMod / 100);
+    }
+}
+
+/**
+ * Stores all information about a single calendar day.
+ */
+class Day {
+    /**
+     * @param {number} id
+     * @param {boolean} isClosed
+     * @param {number} start Opening hour (inclusive)
+     * @param {number} end Closing hour (exclusive)
+     * @param {number} revenue Revenue at 100% capacity
+     * @param {string[]} requiredSkills One entry per required skill slot, repeats included
+     */
+    constructor(id, isClosed, start = 0, end = 0, revenue = 0, requiredSkills = []) {
+        this.id = id;
+        this.isClosed = isClosed;
+        this.start = isClosed ? 0 : start;
+        this.end = isClosed ? 0 : end;
+        this.revenue = isClosed ? 0 : revenue;
+        this.requiredSkills = isClosed ? [] : requiredSkills;
+    }
+
+    /**
+     * Opening hours of the day (0 when closed).
+     * @returns {number}
+     */
+    get duration() {
+        return this.end - this.start;
+    }
+
+    /**
+     * Calculates the denominator for capacity: duration * number of required skills.
+     * @returns {number}
+     */
+    totalSkillHours() {
+        if (this.isClosed) {
+            return 0;
+        }
+        return this.duration * this.requiredSkills.length;
+    }
+}
+
+/**
+ * Stores employee base data, including initial skills and vacation days.
+ * Dynamic state (hours worked, training points) lives with whoever simulates.
+ */
+class Employee {
+    /**
+     * @param {number} id
+     * @param {number} maxHoursPerWeek
+     * @param {number} salaryPerHour
+     * @param {number} learningRate
+     * @param {number} teachingRate
+     * @param {Set<string>} initialSkills Skills the employee is trained in on day one
+     * @param {Set<number>} vacationDays
+     */
+    constructor(id, maxHoursPerWeek, salaryPerHour, learningRate, teachingRate, initialSkills = new Set(), vacationDays = new Set()) {
+        this.id = id;
+        this.maxHoursPerWeek = maxHoursPerWeek;
+        this.salaryPerHour = salaryPerHour;
+        this.learningRate = learningRate;
+        this.teachingRate = teachingRate;
+        this.initialSkills = initialSkills;
+        this.vacationDays = vacationDays;
+    }
+
+    /**
+     * @param {number} dayId
+     * @returns {boolean}
+     */
+    isOnVacation(dayId) {
+        return this.vacationDays.has(dayId);
+    }
+}
+
+/**
+ * Represents a scheduled shift: one employee working one skill for [start, end).
+ */
+class Shift {
+    /**
+     * @param {number} employeeId
+     * @param {number} start Hour (inclusive)
+     * @param {number} end Hour (exclusive)
+     * @param {string} skill
+     */
+    constructor(employeeId, start, end, skill) {
+        this.employeeId = employeeId;
+        this.start = start;
+        this.end = end;
+        this.skill = skill;
+    }
+
+    /**
+     * Parses an output token such as `1-9-17-Cashier`.
+     * @param {string} token
+     * @returns {Shift}
+     */
+    static fromToken(token) {
+        const parts = token.split('-');
+        const shift = new Shift(parseInt(parts[0]), parseInt(parts[1]), parseInt(parts[2]), parts[3]);
+
+        if (!(shift.duration > 0)) {
+            throw new Error(`Shift duration is invalid or zero/negative: ${token}`);
+        }
+        return shift;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get duration() {
+        return this.end - this.start;
+    }
+
+    /**
+     * Formats the shift for the output file.
+     * @returns {string}
+     */
+    toString() {
+        return `${this.employeeId}-${this.start}-${this.end}-${this.skill}`;
+    }
+}
+
+/**
+ * A fully parsed planning instance. Days and employees keep input file order.
+ */
+class Instance {
+    /**
+     * @param {Organization} organization
+     * @param {Day[]} days
+     * @param {Employee[]} employees
+     */
+    constructor(organization, days, employees) {
+        this.organization = organization;
+        this.days = days;
+        this.employees = employees;
+
+        this._dayById = new Map(days.map(day => [day.id, day]));
+        this._employeeById = new Map(employees.map(emp => [emp.id, emp]));
+    }
+
+    /**
+     * @param {number} dayId
+     * @returns {Day|undefined}
+     */
+    getDay(dayId) {
+        return this._dayById.get(dayId);
+    }
+
+    /**
+     * @param {number} employeeId
+     * @returns {Employee|undefined}
+     */
+    getEmployee(employeeId) {
+        return this._employeeById.get(employeeId);
+    }
+}
+
+module.exports = {
+    TRAINED_POINTS,
+    Organization,
+    Day,
+    Employee,
+    Shift,
+    Instance,
+};
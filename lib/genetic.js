@@ -0,0 +1,612 @@
+const { createRandom } = require('./annealing');
+const { Shift, TRAINED_POINTS } = require('./domain');
+const { scoreSchedule } = require('./scoring');
+const { coveredSlots, skillDemand } = require('./skillDemand');
+
+// --- Genetic Algorithm ---
+//
+// Evolves whole-horizon schedules. A chromosome holds, for every open day, the
+// skill each employee works in every block of the opening hours (blocks of
+// `blockHours`, the last one possibly shorter), or nothing. It decodes into
+// shifts by merging an employee's consecutive blocks on the same skill.
+// Employees on vacation never get a skill, and blocks only cover the opening
+// window, so every chromosome decodes into a valid schedule.
+//
+// Each generation keeps the best chromosomes (elitism) and breeds the rest
+// from parents picked by tournament:
+//   crossover  every week comes whole from one parent or the other, so the
+//              weekly hours (and the overtime they cause) travel together;
+//              weeks are the scoring engine's (day id / 7)
+//   mutations  on a random open day, about one per week of open days per
+//              child, so longer horizons change in as many places:
+//     cover    an idle employee, cheapest trained first, takes an
+//              under-covered skill
+//     drop     the employee whose day costs most goes idle and the gaps are
+//              covered again, cheapest first
+//     train    a cheap idle employee learns a skill next to its best free
+//              teacher, then takes over untrained or pricier workers on it
+//     assign   a run of blocks of an available employee goes to a skill
+//     clear    a run of blocks of an employee goes idle
+//     swap     two available employees exchange their day
+// The first three follow the day's demand and are tried most; the random ones
+// rarely beat a greedy parent. Who counts as trained comes from the parent's
+// simulation. Fitness is the official profit, as PlanningValidator computes it.
+//
+// The population starts from the given schedules (typically greedy solver
+// output), each encoded at the start of its blocks, and is filled up with
+// heavily mutated copies of them, or with random chromosomes staffed to about
+// the day's demand when none are given. Days are shared between chromosomes
+// and copied only when mutated.
+
+const IDLE = -1;
+const MUTATION_WEIGHTS = { cover: 4, drop: 4, train: 1, assign: 1, clear: 1, swap: 1 };
+const MUTATIONS = Object.keys(MUTATION_WEIGHTS);
+const TOTAL_MUTATION_WEIGHT = Object.values(MUTATION_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+const COVER_CANDIDATES = 3; // cover picks among this many of the cheapest idle employees
+const DAYS_PER_MUTATION = 7; // default mutations per child: one per this many open days
+const TOURNAMENT_SIZE = 3;
+const SEED_MUTATIONS = 20; // per copy filling up the starting population
+
+/**
+ * Layout of the genes of a day: `blocks` x `employees`, skill indexes into `skills`.
+ * @typedef {object} DayLayout
+ * @property {import('./domain').Day} day
+ * @property {string[]} skills Distinct required skills
+ * @property {number[]} slots Slots per skill, as in skills
+ * @property {number[]} starts Start hour of every block
+ * @property {number[]} ends End hour of every block
+ * @property {number[]} available Employee indexes not on vacation
+ */
+
+/**
+ * @typedef {object} Chromosome
+ * @property {Int8Array[]} genes Per open day; genes[d][block * employees + e]
+ * @property {number} fitness
+ * @property {Map<string, number>} trainedOn `${employee index}:${skill}` -> first day id the
+ *     employee counts as trained in a skill learned during the horizon
+ */
+
+class GeneticSolver {
+    /**
+     * @param {import('./domain').Instance} instance
+     * @param {{blockHours?: number, seed?: number}} [options]
+     */
+    constructor(instance, { blockHours = 1, seed = 1 } = {}) {
+        if (!(blockHours >= 1)) {
+            throw new Error(`Block length must be at least one hour, got ${blockHours}`);
+        }
+        this.instance = instance;
+        this.random = createRandom(seed);
+        this.employees = instance.employees;
+        this.indexOf = new Map(this.employees.map((employee, index) => [employee.id, index]));
+        this.days = [...instance.days].sort((a, b) => a.id - b.id);
+        /** @type {DayLayout[]} */
+        this.layouts = this.days
+            .filter(day => !day.isClosed && day.requiredSkills.length > 0)
+            .map(day => {
+                const starts = [];
+                for (let hour = day.start; hour < day.end; hour += blockHours) starts.push(hour);
+                const available = [];
+                this.employees.forEach((employee, index) => {
+                    if (!employee.isOnVacation(day.id)) available.push(index);
+                });
+                const ends = [...starts.slice(1), day.end];
+                const demand = skillDemand(day.requiredSkills);
+                return { day, skills: [...demand.keys()], slots: [...demand.values()], starts, ends, available };
+            });
+        // Layout indexes grouped by week, for crossover
+        const weeks = new Map();
+        this.layouts.forEach((layout, index) => {
+            const week = Math.floor(layout.day.id / 7);
+            if (!weeks.has(week)) weeks.set(week, []);
+            weeks.get(week).push(index);
+        });
+        this.weeks = [...weeks.values()];
+    }
+
+    /**
+     * @param {DayLayout} layout
+     * @returns {Int8Array}
+     */
+    emptyDay(layout) {
+        return new Int8Array(layout.starts.length * this.employees.length).fill(IDLE);
+    }
+
+    /**
+     * Encodes a schedule: each gene takes the skill the employee works at the
+     * start of the block, if the day requires it.
+     * @param {Map<number, Shift[]>} schedule
+     * @returns {Int8Array[]}
+     */
+    encode(schedule) {
+        return this.layouts.map(layout => {
+            const genes = this.emptyDay(layout);
+            for (const shift of schedule.get(layout.day.id) || []) {
+                const e = this.indexOf.get(shift.employeeId);
+                const skill = layout.skills.indexOf(shift.skill);
+                if (e === undefined || skill < 0 || this.employees[e].isOnVacation(layout.day.id)) continue;
+                layout.starts.forEach((start, block) => {
+                    if (shift.start <= start && start < shift.end) genes[block * this.employees.length + e] = skill;
+                });
+            }
+            return genes;
+        });
+    }
+
+    /**
+     * @param {Int8Array[]} genes
+     * @returns {Map<number, Shift[]>} Every day of the instance
+     */
+    decode(genes) {
+        const schedule = new Map(this.days.map(day => [day.id, []]));
+        this.layouts.forEach((layout, d) => {
+            const shifts = schedule.get(layout.day.id);
+            for (const e of layout.available) {
+                let current = null;
+                for (let block = 0; block < layout.starts.length; block++) {
+                    const skill = genes[d][block * this.employees.length + e];
+                    if (current && skill === current.index) {
+                        current.shift.end = layout.ends[block];
+                    } else {
+                        current = skill === IDLE ? null : {
+                            index: skill,
+                            shift: new Shift(this.employees[e].id, layout.starts[block], layout.ends[block], layout.skills[skill]),
+                        };
+                        if (current) shifts.push(current.shift);
+                    }
+                }
+            }
+        });
+        return schedule;
+    }
+
+    /**
+     * @param {Int8Array[]} genes
+     * @returns {Chromosome}
+     */
+    evaluate(genes) {
+        const { total, days } = scoreSchedule(this.instance, this.decode(genes));
+        const trainedOn = new Map();
+        days.forEach((result, index) => {
+            // Training counts at the end of the day, so from the next day on
+            const nextDayId = index + 1 < this.days.length ? this.days[index + 1].id : Infinity;
+            for (const { employeeId, skill } of result.trained) {
+                trainedOn.set(`${this.indexOf.get(employeeId)}:${skill}`, nextDayId);
+            }
+        });
+        return { genes, fitness: total, trainedOn };
+    }
+
+    /**
+     * @param {Map<string, number>} trainedOn See Chromosome
+     * @returns {boolean} Whether employee e counts as trained in skill on day dayId
+     */
+    isTrained(e, skill, dayId, trainedOn) {
+        if (this.employees[e].initialSkills.has(skill)) return true;
+        const from = trainedOn.get(`${e}:${skill}`);
+        return from !== undefined && from <= dayId;
+    }
+
+    /**
+     * Random chromosome where each available employee works a block with a
+     * probability that staffs the day's demand on average.
+     * @returns {Int8Array[]}
+     */
+    randomGenes() {
+        return this.layouts.map(layout => {
+            const genes = this.emptyDay(layout);
+            const share = Math.min(1, layout.day.requiredSkills.length / Math.max(1, layout.available.length));
+            for (let block = 0; block < layout.starts.length; block++) {
+                for (const e of layout.available) {
+                    if (this.random() < share) {
+                        genes[block * this.employees.length + e] = Math.floor(this.random() * layout.skills.length);
+                    }
+                }
+            }
+            return genes;
+        });
+    }
+
+    /**
+     * Child taking every week from one of the parents.
+     * @param {Int8Array[]} a
+     * @param {Int8Array[]} b
+     * @returns {Int8Array[]} Days shared with the parents
+     */
+    crossover(a, b) {
+        const child = new Array(this.layouts.length);
+        for (const week of this.weeks) {
+            const parent = this.random() < 0.5 ? a : b;
+            week.forEach(d => { child[d] = parent[d]; });
+        }
+        return child;
+    }
+
+    /**
+     * Covered slots of every skill during one block.
+     * @param {Int8Array} day Genes of the day
+     * @param {DayLayout} layout
+     * @param {number} block
+     * @param {Map<string, number>} trainedOn See Chromosome
+     * @returns {number[]} Per skill index, capped at the skill's slots
+     */
+    blockCoverage(day, layout, block, trainedOn) {
+        const trained = new Array(layout.skills.length).fill(0);
+        const untrained = new Array(layout.skills.length).fill(0);
+        for (const e of layout.available) {
+            const skill = day[block * this.employees.length + e];
+            if (skill === IDLE) continue;
+            if (this.isTrained(e, layout.skills[skill], layout.day.id, trainedOn)) trained[skill]++;
+            else untrained[skill]++;
+        }
+        return layout.slots.map((slots, skill) => coveredSlots(slots, trained[skill], untrained[skill]));
+    }
+
+    /**
+     * Hours every employee works in the week of day d, with `day` standing in
+     * for the genes of day d.
+     * @returns {Float64Array} Per employee index
+     */
+    weekHours(genes, d, day) {
+        const width = this.employees.length;
+        const hours = new Float64Array(width);
+        const week = this.weeks.find(days => days.includes(d));
+        for (const w of week) {
+            const layout = this.layouts[w];
+            const dayGenes = w === d ? day : genes[w];
+            for (let block = 0; block < layout.starts.length; block++) {
+                const length = layout.ends[block] - layout.starts[block];
+                for (const e of layout.available) {
+                    if (dayGenes[block * width + e] !== IDLE) hours[e] += length;
+                }
+            }
+        }
+        return hours;
+    }
+
+    /**
+     * Rate an extra hour of employee e costs, given the hours worked that week.
+     */
+    hourlyRate(e, weekHours) {
+        const employee = this.employees[e];
+        return weekHours < employee.maxHoursPerWeek
+            ? employee.salaryPerHour
+            : this.instance.organization.overtimeRate(employee.salaryPerHour);
+    }
+
+    /**
+     * Puts one of the cheapest idle employees (at their rate for the week),
+     * trained in the skill if one is free, on an under-covered skill, for the
+     * run of blocks around it where they are idle and the skill is still short.
+     * The run stops at the employee's weekly hours unless they are in overtime
+     * already.
+     * @returns {boolean} Whether the day changed
+     */
+    cover(genes, d, day, trainedOn) {
+        const layout = this.layouts[d];
+        const width = this.employees.length;
+        const blocks = layout.starts.length;
+        const short = [];
+        for (let block = 0; block < blocks; block++) {
+            this.blockCoverage(day, layout, block, trainedOn).forEach((covered, skill) => {
+                if (covered < layout.slots[skill]) short.push({ block, skill });
+            });
+        }
+        if (short.length === 0) return false;
+
+        const { block, skill } = short[Math.floor(this.random() * short.length)];
+        const idle = layout.available.filter(e => day[block * width + e] === IDLE);
+        const trained = idle.filter(e => this.isTrained(e, layout.skills[skill], layout.day.id, trainedOn));
+        const hours = this.weekHours(genes, d, day);
+        const pool = (trained.length > 0 ? trained : idle)
+            .sort((a, b) => this.hourlyRate(a, hours[a]) - this.hourlyRate(b, hours[b]))
+            .slice(0, COVER_CANDIDATES);
+        if (pool.length === 0) return false;
+        const e = pool[Math.floor(this.random() * pool.length)];
+
+        const cap = this.employees[e].maxHoursPerWeek;
+        let worked = hours[e];
+        const canExtend = b => day[b * width + e] === IDLE &&
+            this.blockCoverage(day, layout, b, trainedOn)[skill] < layout.slots[skill] &&
+            (worked >= cap || worked + layout.ends[b] - layout.starts[b] <= cap);
+        const take = b => {
+            day[b * width + e] = skill;
+            worked += layout.ends[b] - layout.starts[b];
+        };
+        take(block);
+        for (let b = block - 1; b >= 0 && canExtend(b); b--) take(b);
+        for (let b = block + 1; b < blocks && canExtend(b); b++) take(b);
+        return true;
+    }
+
+    /**
+     * Clears the day of the employee whose hours cost the most, overtime
+     * included, then covers the gaps that leaves, cheapest employees first.
+     * @returns {boolean} Whether the day changed
+     */
+    dropCostliest(genes, d, day, trainedOn) {
+        const layout = this.layouts[d];
+        const width = this.employees.length;
+        const hours = this.weekHours(genes, d, day);
+        let costliest = null;
+        let highest = 0;
+        for (const e of layout.available) {
+            let dayHours = 0;
+            for (let block = 0; block < layout.starts.length; block++) {
+                if (day[block * width + e] !== IDLE) dayHours += layout.ends[block] - layout.starts[block];
+            }
+            const employee = this.employees[e];
+            const overtimeHours = Math.min(dayHours, Math.max(0, hours[e] - employee.maxHoursPerWeek));
+            const cost = (dayHours - overtimeHours) * employee.salaryPerHour +
+                overtimeHours * this.instance.organization.overtimeRate(employee.salaryPerHour);
+            if (cost > highest) {
+                highest = cost;
+                costliest = e;
+            }
+        }
+        if (costliest === null) return false;
+        for (let block = 0; block < layout.starts.length; block++) day[block * width + costliest] = IDLE;
+        while (this.cover(genes, d, day, trainedOn)) {
+            // each pass fills at least one short block
+        }
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether employee e works no block of day d
+     */
+    isIdle(genes, d, e) {
+        const width = this.employees.length;
+        for (let block = 0; block < this.layouts[d].starts.length; block++) {
+            if (genes[d][block * width + e] !== IDLE) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Hands the blocks of the worst teacher on a skill to the idle trained
+     * employee with the highest teaching_rate, when that beats every teacher
+     * already on it and fits their weekly hours.
+     */
+    seatBestTeacher(genes, w, skill, trainedOn) {
+        const width = this.employees.length;
+        const layout = this.layouts[w];
+        const name = layout.skills[skill];
+        const blocksOf = t => layout.starts.map((start, block) => block).filter(block => genes[w][block * width + t] === skill);
+        const teachers = layout.available.filter(t => blocksOf(t).length > 0 && this.isTrained(t, name, layout.day.id, trainedOn));
+        if (teachers.length === 0) return;
+        const worst = teachers.reduce((a, b) => (this.employees[b].teachingRate < this.employees[a].teachingRate ? b : a));
+        const best = Math.max(...teachers.map(t => this.employees[t].teachingRate));
+
+        const blocks = blocksOf(worst);
+        const hours = blocks.reduce((sum, block) => sum + layout.ends[block] - layout.starts[block], 0);
+        const weekHours = this.weekHours(genes, w, genes[w]);
+        const candidates = layout.available.filter(u => this.employees[u].teachingRate > best &&
+            this.isIdle(genes, w, u) && this.isTrained(u, name, layout.day.id, trainedOn) &&
+            weekHours[u] + hours <= this.employees[u].maxHoursPerWeek);
+        if (candidates.length === 0) return;
+        const teacher = candidates.reduce((a, b) => (this.employees[b].teachingRate > this.employees[a].teachingRate ? b : a));
+        for (const block of blocks) {
+            genes[w][block * width + worst] = IDLE;
+            genes[w][block * width + teacher] = skill;
+        }
+    }
+
+    /**
+     * Trains one of the cheapest idle employees in a skill a trained worker
+     * has on day d: whole days next to the skill's workers from day d on, as
+     * long as they stay within their weekly hours, until the points reach
+     * TRAINED_POINTS. The best free teacher takes a shift on the skill on
+     * those days (see seatBestTeacher). On every later day they are free, they
+     * then take over the blocks of two untrained workers on the skill, or else
+     * of the priciest one paid more than them. Training alone only costs, so
+     * it is never tried without the takeovers that pay for it.
+     * @param {Map<string, number>} trainedOn See Chromosome
+     * @returns {boolean} Whether the genes changed
+     */
+    train(genes, d, trainedOn) {
+        const width = this.employees.length;
+        const layout = this.layouts[d];
+        const teachersOf = (w, skill, block) => this.layouts[w].available.filter(t =>
+            genes[w][block * width + t] === skill && this.isTrained(t, this.layouts[w].skills[skill], this.layouts[w].day.id, trainedOn));
+        // Skills whose cheapest worker that day is paid the most save the most per takeover
+        const cheapestPay = skill => Math.min(...layout.available
+            .filter(t => layout.starts.some((start, block) => genes[d][block * width + t] === skill))
+            .map(t => this.employees[t].salaryPerHour));
+        const taught = layout.skills
+            .map((name, skill) => ({ name, pay: cheapestPay(skill) }))
+            .filter(({ name }, skill) => layout.starts.some((start, block) => teachersOf(d, skill, block).length > 0))
+            .sort((a, b) => b.pay - a.pay)
+            .slice(0, COVER_CANDIDATES);
+        if (taught.length === 0) return false;
+        const { name } = taught[Math.floor(this.random() * taught.length)];
+
+        const learners = layout.available
+            .filter(e => this.employees[e].learningRate > 0 && this.isIdle(genes, d, e) &&
+                !this.isTrained(e, name, layout.day.id, trainedOn))
+            .sort((a, b) => this.employees[a].salaryPerHour - this.employees[b].salaryPerHour ||
+                this.employees[b].learningRate - this.employees[a].learningRate)
+            .slice(0, COVER_CANDIDATES);
+        if (learners.length === 0) return false;
+        const e = learners[Math.floor(this.random() * learners.length)];
+        const employee = this.employees[e];
+
+        // Days e can take whole: skill required, e free, within the weekly hours
+        const original = [...genes];
+        const freeDay = w => {
+            const lw = this.layouts[w];
+            return lw.skills.includes(name) && lw.available.includes(e) && this.isIdle(genes, w, e) &&
+                this.weekHours(genes, w, genes[w])[e] + lw.day.end - lw.day.start <= employee.maxHoursPerWeek;
+        };
+        let points = 0;
+        let w = d;
+        for (; w < this.layouts.length && points < TRAINED_POINTS; w++) {
+            if (!freeDay(w)) continue;
+            const skill = this.layouts[w].skills.indexOf(name);
+            genes[w] = genes[w].slice();
+            this.seatBestTeacher(genes, w, skill, trainedOn);
+            this.layouts[w].starts.forEach((start, block) => {
+                const rates = teachersOf(w, skill, block).map(t => this.employees[t].teachingRate);
+                const teaching = Math.max(0, ...rates);
+                points += (this.layouts[w].ends[block] - start) * employee.learningRate * (teaching > 0 ? teaching : 1);
+                genes[w][block * width + e] = skill;
+            });
+        }
+        if (points < TRAINED_POINTS) {
+            original.forEach((dayGenes, index) => { genes[index] = dayGenes; });
+            return false;
+        }
+
+        for (; w < this.layouts.length; w++) {
+            if (!freeDay(w)) continue;
+            const lw = this.layouts[w];
+            const skill = lw.skills.indexOf(name);
+            const onSkill = t => t !== e && lw.starts.some((start, block) => genes[w][block * width + t] === skill);
+            const untrained = t => !this.isTrained(t, name, lw.day.id, trainedOn);
+            // An untrained worker fills half a slot, so replacing two of them saves the most
+            const replaceable = lw.available
+                .filter(t => onSkill(t) && (untrained(t) || this.employees[t].salaryPerHour > employee.salaryPerHour))
+                .sort((a, b) => untrained(b) - untrained(a) || this.employees[b].salaryPerHour - this.employees[a].salaryPerHour);
+            if (replaceable.length === 0) continue;
+            const [replaced, partner] = replaceable;
+            const pair = untrained(replaced) && partner !== undefined && untrained(partner);
+            genes[w] = genes[w].slice();
+            lw.starts.forEach((start, block) => {
+                if (genes[w][block * width + replaced] !== skill) return;
+                genes[w][block * width + replaced] = IDLE;
+                genes[w][block * width + e] = skill;
+                if (pair && genes[w][block * width + partner] === skill) genes[w][block * width + partner] = IDLE;
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Applies one mutation, picked by MUTATION_WEIGHTS, to a random open day,
+     * copying the days it changes.
+     * @param {Int8Array[]} genes Modified in place (day arrays are replaced)
+     * @param {Map<string, number>} [trainedOn] Of the parent, see Chromosome
+     * @returns {string} The mutation applied
+     */
+    mutate(genes, trainedOn = new Map()) {
+        const pick = items => items[Math.floor(this.random() * items.length)];
+        const d = Math.floor(this.random() * this.layouts.length);
+        const layout = this.layouts[d];
+        const mutation = this.pickMutation();
+        if (layout.available.length === 0) return mutation;
+        if (mutation === 'train') {
+            this.train(genes, d, trainedOn);
+            return mutation;
+        }
+
+        const day = genes[d].slice();
+        const width = this.employees.length;
+        const blocks = layout.starts.length;
+        const e = pick(layout.available);
+        const from = Math.floor(this.random() * blocks);
+        const to = from + 1 + Math.floor(this.random() * (blocks - from));
+        switch (mutation) {
+            case 'cover':
+                if (!this.cover(genes, d, day, trainedOn)) return mutation;
+                break;
+            case 'drop':
+                if (!this.dropCostliest(genes, d, day, trainedOn)) return mutation;
+                break;
+            case 'assign': {
+                const skill = Math.floor(this.random() * layout.skills.length);
+                for (let block = from; block < to; block++) day[block * width + e] = skill;
+                break;
+            }
+            case 'clear':
+                for (let block = from; block < to; block++) day[block * width + e] = IDLE;
+                break;
+            case 'swap': {
+                const other = pick(layout.available);
+                for (let block = 0; block < blocks; block++) {
+                    const held = day[block * width + e];
+                    day[block * width + e] = day[block * width + other];
+                    day[block * width + other] = held;
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown mutation '${mutation}'`);
+        }
+        genes[d] = day;
+        return mutation;
+    }
+
+    /**
+     * @returns {string} A mutation, with probability proportional to its weight
+     */
+    pickMutation() {
+        let roll = this.random() * TOTAL_MUTATION_WEIGHT;
+        for (const mutation of MUTATIONS) {
+            roll -= MUTATION_WEIGHTS[mutation];
+            if (roll < 0) return mutation;
+        }
+        return MUTATIONS[MUTATIONS.length - 1];
+    }
+
+    /**
+     * @param {Chromosome[]} population
+     * @returns {Chromosome} Best of a random few
+     */
+    tournament(population) {
+        let best = null;
+        for (let i = 0; i < TOURNAMENT_SIZE; i++) {
+            const candidate = population[Math.floor(this.random() * population.length)];
+            if (!best || candidate.fitness > best.fitness) best = candidate;
+        }
+        return best;
+    }
+
+    /**
+     * Runs the search.
+     * @param {Map<number, Shift[]>[]} seeds Starting schedules; may be empty
+     * @param {{population?: number, generations?: number, elite?: number, mutations?: number,
+     *     onGeneration?: Function}} [options] onGeneration(generation, bestFitness) after every generation;
+     *     mutations per child default to one per DAYS_PER_MUTATION open days
+     * @returns {{schedule: Map<number, Shift[]>, total: number, seedTotal: number|null}}
+     *     seedTotal is the best profit among the seeds, null without seeds
+     */
+    evolve(seeds, { population = 30, generations = 100, elite = 2, mutations, onGeneration } = {}) {
+        if (mutations === undefined) {
+            mutations = Math.max(1, Math.round(this.layouts.length / DAYS_PER_MUTATION));
+        }
+        if (!(population >= 2) || !(elite >= 0) || elite >= population) {
+            throw new Error(`Need a population of at least 2 and fewer elite than that, got ${population} and ${elite}`);
+        }
+        let members = seeds.map(schedule => this.evaluate(this.encode(schedule)));
+        const seedTotal = members.length > 0 ? Math.max(...members.map(m => m.fitness)) : null;
+        while (members.length < population) {
+            if (seeds.length === 0) {
+                members.push(this.evaluate(this.randomGenes()));
+                continue;
+            }
+            const parent = members[members.length % seeds.length];
+            const genes = [...parent.genes];
+            for (let i = 0; i < SEED_MUTATIONS; i++) this.mutate(genes, parent.trainedOn);
+            members.push(this.evaluate(genes));
+        }
+        members = members.sort((a, b) => b.fitness - a.fitness).slice(0, population);
+
+        for (let generation = 1; generation <= generations; generation++) {
+            const next = members.slice(0, elite);
+            while (next.length < population) {
+                const first = this.tournament(members);
+                const genes = this.crossover(first.genes, this.tournament(members).genes);
+                for (let i = 0; i < mutations; i++) this.mutate(genes, first.trainedOn);
+                next.push(this.evaluate(genes));
+            }
+            members = next.sort((a, b) => b.fitness - a.fitness);
+            if (onGeneration) onGeneration(generation, members[0].fitness);
+        }
+        return { schedule: this.decode(members[0].genes), total: members[0].fitness, seedTotal };
+    }
+}
+
+module.exports = {
+    GeneticSolver,
+    MUTATIONS,
+};
@@ -0,0 +1,332 @@
+const { Shift } = require('./domain');
+const { ScoringEngine } = require('./scoring');
+
+// --- Incremental Scoring ---
+//
+// Keeps a scored schedule in memory and prices changes to it without a full
+// replay. The state the simulation carries between days (weekly hours,
+// training points, trained skills) belongs to single employees, and a day's
+// figures depend only on the state of the employees working it. So the scorer
+// keeps, per employee, their state before and after every day they work.
+//
+// Changing a day re-scores it with ScoringEngine.scoreDay. Employees whose
+// state after the day differs from the stored one are followed to the next day
+// they work. That day is re-scored only if the difference matters to it (hours
+// already worked that week, trained skills, points of a skill learned that
+// day); otherwise the stored figures stand and the difference is carried past
+// it. This goes on until every state has caught up with the stored one. Days
+// no affected employee works are never looked at.
+//
+// Shifts are priced as they are; checking them against vacations, opening
+// hours and overlaps is up to the caller, as with ScoringEngine.
+
+/** @typedef {import('./scoring').EmployeeState} EmployeeState */
+
+/**
+ * A priced change, to be committed or thrown away.
+ * @typedef {object} Trial
+ * @property {number} delta Profit change against the current schedule
+ * @property {number} total Total profit with the change applied
+ * @property {Map<number, Shift[]>} changes dayId -> new shifts
+ * @property {number} rescoredDays Days that had to be re-scored
+ */
+
+function statesEqual(a, b) {
+    if (a.week !== b.week || a.hours !== b.hours || a.trained.size !== b.trained.size) {
+        return false;
+    }
+    for (const skill of a.trained) {
+        if (!b.trained.has(skill)) return false;
+    }
+    // Points of trained skills no longer change anything
+    for (const points of [a.points, b.points]) {
+        for (const skill of points.keys()) {
+            if (!a.trained.has(skill) && (a.points.get(skill) || 0) !== (b.points.get(skill) || 0)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * @param {Shift[]} shifts
+ * @returns {number[]} Ids of the employees working the shifts
+ */
+function workersOf(shifts) {
+    return [...new Set(shifts.map(shift => shift.employeeId))];
+}
+
+class IncrementalScorer {
+    /**
+     * Scores the schedule once in full.
+     * @param {import('./domain').Instance} instance
+     * @param {Map<number, Shift[]>} schedule dayId -> shifts; not modified
+     * @param {string|object} [profile] Rule profile, see scoring.js
+     */
+    constructor(instance, schedule, profile = 'official') {
+        this.instance = instance;
+        this.days = [...instance.days].sort((a, b) => a.id - b.id);
+        this._indexOfDay = new Map(this.days.map((day, index) => [day.id, index]));
+        // Known employees only; the engine ignores the others
+        this.shifts = this.days.map(day =>
+            (schedule.get(day.id) || []).filter(shift => instance.getEmployee(shift.employeeId)));
+
+        this.engine = new ScoringEngine(instance, profile);
+        /** @type {Map<number, EmployeeState>} */
+        this.initialStates = new Map();
+        /** @type {Map<number, {index: number, before: EmployeeState, after: EmployeeState}[]>} */
+        this.timelines = new Map();
+        for (const employee of instance.employees) {
+            this.initialStates.set(employee.id, this.engine.readState(employee.id));
+            this.timelines.set(employee.id, []);
+        }
+
+        this.dayScores = this.days.map((day, index) => {
+            const workers = day.isClosed ? [] : workersOf(this.shifts[index]);
+            const before = workers.map(id => this.engine.readState(id));
+            const score = this.engine.scoreDay(day, this.shifts[index]);
+            workers.forEach((id, i) => {
+                this.timelines.get(id).push({ index, before: before[i], after: this.engine.readState(id) });
+            });
+            return score;
+        });
+        this.total = this.dayScores.reduce((sum, score) => sum + score.profit, 0);
+        this.version = 0;
+    }
+
+    /**
+     * @param {number} dayId
+     * @returns {Shift[]} Current shifts of the day
+     */
+    shiftsOn(dayId) {
+        return this.shifts[this._indexOfDay.get(dayId)] || [];
+    }
+
+    /**
+     * @returns {Map<number, Shift[]>} The current schedule
+     */
+    schedule() {
+        return new Map(this.days.map((day, index) => [day.id, this.shifts[index]]));
+    }
+
+    /**
+     * Prices replacing the shifts of some days.
+     * @param {Map<number, Shift[]>} changes dayId -> new shifts for that day
+     * @returns {Trial}
+     */
+    evaluate(changes) {
+        const changed = new Map();
+        changes.forEach((shifts, dayId) => {
+            if (!this._indexOfDay.has(dayId)) {
+                throw new Error(`Day ${dayId} is not part of the instance`);
+            }
+            changed.set(this._indexOfDay.get(dayId), shifts.filter(s => this.instance.getEmployee(s.employeeId)));
+        });
+
+        const diverged = new Map(); // employeeId -> new state, where it differs from the stored one
+        const rescored = [];
+        let delta = 0;
+        let index = this._nextIndex(-1, changed, diverged);
+        while (index !== null) {
+            const entry = changed.has(index)
+                ? this._rescoreDay(index, changed.get(index), diverged)
+                : this._carryOver(index, diverged) || this._rescoreDay(index, this.shifts[index], diverged);
+
+            const day = this.days[index];
+            const oldWorkers = day.isClosed || entry.carriedOver ? [] : workersOf(this.shifts[index]);
+            for (const id of new Set([...entry.after.keys(), ...oldWorkers])) {
+                const state = entry.after.get(id) || diverged.get(id) || this._stateBefore(id, index);
+                if (statesEqual(state, this._stateAfter(id, index))) {
+                    diverged.delete(id);
+                } else {
+                    diverged.set(id, state);
+                }
+            }
+
+            delta += entry.score.profit - this.dayScores[index].profit;
+            rescored.push(entry);
+            index = this._nextIndex(index, changed, diverged);
+        }
+
+        return {
+            delta,
+            total: this.total + delta,
+            changes,
+            rescoredDays: rescored.filter(entry => !entry.carriedOver).length,
+            _rescored: rescored,
+            _version: this.version,
+        };
+    }
+
+    /**
+     * Scores day `index` with the given shifts, starting from the diverged
+     * states where there are any.
+     */
+    _rescoreDay(index, shifts, diverged) {
+        const day = this.days[index];
+        const workers = day.isClosed ? [] : workersOf(shifts);
+        const before = new Map(workers.map(id => [id, diverged.get(id) || this._stateBefore(id, index)]));
+        before.forEach((state, id) => this.engine.loadState(id, state));
+        const score = this.engine.scoreDay(day, shifts);
+        const after = new Map(workers.map(id => [id, this.engine.readState(id)]));
+        return { index, shifts, score, before, after, carriedOver: false };
+    }
+
+    /**
+     * Skips scoring an unchanged day when no diverged employee working it
+     * differs in anything the day reads: hours already worked that week,
+     * trained skills, or training points of a skill they learn that day. The
+     * day's figures stay as stored, and only those employees' states are
+     * carried past it.
+     * @returns {object|null} The entry, or null when the day must be re-scored
+     */
+    _carryOver(index, diverged) {
+        const week = this.engine.weekOf(this.days[index].id);
+        const hoursIn = state => (state.week === week ? state.hours : 0);
+        const before = new Map();
+        const after = new Map();
+        for (const id of workersOf(this.shifts[index])) {
+            const state = diverged.get(id);
+            if (!state) continue;
+            const timeline = this.timelines.get(id);
+            const stored = timeline[this._entryPosition(timeline, index)];
+            const skills = new Set(this.shifts[index].filter(s => s.employeeId === id).map(s => s.skill));
+            const pointsDiffer = skill => !state.trained.has(skill) &&
+                (state.points.get(skill) || 0) !== (stored.before.points.get(skill) || 0);
+            if (hoursIn(state) !== hoursIn(stored.before) ||
+                state.trained.size !== stored.before.trained.size ||
+                [...state.trained].some(skill => !stored.before.trained.has(skill)) ||
+                [...skills].some(pointsDiffer)) {
+                return null;
+            }
+
+            const points = new Map(state.points);
+            skills.forEach(skill => points.set(skill, stored.after.points.get(skill)));
+            before.set(id, state);
+            after.set(id, { week: stored.after.week, hours: stored.after.hours, points, trained: stored.after.trained });
+        }
+        return { index, shifts: this.shifts[index], score: this.dayScores[index], before, after, carriedOver: true };
+    }
+
+    /**
+     * Applies a trial from evaluate().
+     * @param {Trial} trial
+     * @throws {Error} when the schedule changed since the trial was evaluated
+     */
+    commit(trial) {
+        if (trial._version !== this.version) {
+            throw new Error('Trial was evaluated against an earlier schedule; evaluate it again');
+        }
+        for (const { index, shifts, score, before, after, carriedOver } of trial._rescored) {
+            if (carriedOver) {
+                before.forEach((state, id) => {
+                    const timeline = this.timelines.get(id);
+                    timeline[this._entryPosition(timeline, index)] = { index, before: state, after: after.get(id) };
+                });
+                continue;
+            }
+            for (const id of workersOf(this.shifts[index])) {
+                const timeline = this.timelines.get(id);
+                const position = this._entryPosition(timeline, index);
+                if (position < timeline.length && timeline[position].index === index) {
+                    timeline.splice(position, 1);
+                }
+            }
+            before.forEach((state, id) => {
+                const timeline = this.timelines.get(id);
+                timeline.splice(this._entryPosition(timeline, index), 0, { index, before: state, after: after.get(id) });
+            });
+            this.shifts[index] = shifts;
+            this.dayScores[index] = score;
+        }
+        this.total = trial.total;
+        this.version++;
+    }
+
+    /**
+     * Prices giving shift `position` of a day to another employee.
+     * @returns {Trial}
+     */
+    reassignShift(dayId, position, employeeId) {
+        const shift = this.shiftsOn(dayId)[position];
+        return this._replaceShift(dayId, position, new Shift(employeeId, shift.start, shift.end, shift.skill));
+    }
+
+    /**
+     * Prices moving the start and end of shift `position` of a day, e.g.
+     * (0, 1) to extend it by one hour.
+     * @returns {Trial}
+     */
+    resizeShift(dayId, position, startDelta, endDelta) {
+        const shift = this.shiftsOn(dayId)[position];
+        return this._replaceShift(dayId, position, new Shift(shift.employeeId, shift.start + startDelta, shift.end + endDelta, shift.skill));
+    }
+
+    _replaceShift(dayId, position, shift) {
+        const shifts = [...this.shiftsOn(dayId)];
+        if (shift.duration > 0) {
+            shifts[position] = shift;
+        } else {
+            shifts.splice(position, 1);
+        }
+        return this.evaluate(new Map([[dayId, shifts]]));
+    }
+
+    /**
+     * Next day to re-score after `index`: a changed day, or the next day a
+     * diverged employee works.
+     * @returns {number|null}
+     */
+    _nextIndex(index, changed, diverged) {
+        let next = null;
+        const consider = candidate => {
+            if (candidate > index && (next === null || candidate < next)) next = candidate;
+        };
+        changed.forEach((_, candidate) => consider(candidate));
+        diverged.forEach((_, id) => {
+            const timeline = this.timelines.get(id);
+            const position = this._entryPosition(timeline, index + 1);
+            if (position < timeline.length) consider(timeline[position].index);
+        });
+        return next;
+    }
+
+    /**
+     * @returns {number} Position of the first timeline entry at or after `index`
+     */
+    _entryPosition(timeline, index) {
+        let low = 0;
+        let high = timeline.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (timeline[mid].index < index) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Stored state of an employee at the start of day `index`.
+     * @returns {EmployeeState}
+     */
+    _stateBefore(id, index) {
+        const timeline = this.timelines.get(id);
+        const position = this._entryPosition(timeline, index);
+        return position > 0 ? timeline[position - 1].after : this.initialStates.get(id);
+    }
+
+    /**
+     * Stored state of an employee at the end of day `index`.
+     * @returns {EmployeeState}
+     */
+    _stateAfter(id, index) {
+        const timeline = this.timelines.get(id);
+        const entry = timeline[this._entryPosition(timeline, index)];
+        return entry && entry.index === index ? entry.after : this._stateBefore(id, index);
+    }
+}
+
+module.exports = {
+    IncrementalScorer,
+};
@@ -0,0 +1,186 @@
+const { TRAINED_POINTS } = require('./domain');
+const { DAY_FIELDS, EMPLOYEE_FIELDS, diagnoseInput, splitInputLines } = require('./inputParser');
+
+// --- Input Lint ---
+//
+// Consistency checks on top of the parser: things a file can get wrong while
+// still parsing cleanly, such as a day count that does not match the day lines,
+// vacations on days that do not exist or skills nobody can cover. Non-numeric
+// fields (rates included) come from the strict parser's own diagnostics.
+
+/**
+ * A lint finding. Same shape as a parser diagnostic plus a severity.
+ * @typedef {import('./inputParser').InputDiagnostic & {severity: 'error'|'warning'}} LintFinding
+ */
+
+/**
+ * Finds where the day section really ends: day lines have 1 or 5 fields,
+ * employee lines have 7. Does not trust the declared day count.
+ */
+function findDayLines(lines) {
+    let end = 2;
+    while (end < lines.length && (lines[end].tokens.length === 1 || lines[end].tokens.length === DAY_FIELDS.length)) {
+        end++;
+    }
+    return lines.slice(2, end);
+}
+
+function checkDayCount(lines, dayLines, findings) {
+    const countLine = lines[1];
+    const declared = parseInt(countLine.tokens[0]);
+    if (!isNaN(declared) && declared !== dayLines.length) {
+        findings.push({
+            severity: 'error', line: countLine.number, column: countLine.columns[0], field: 'number_of_days',
+            message: `declares ${declared} days but ${dayLines.length} day line(s) follow`,
+            suggestion: `set number_of_days to ${dayLines.length}, or add/remove day lines`,
+        });
+    }
+}
+
+function checkDayIds(dayLines, findings) {
+    const firstLineById = new Map();
+    for (const line of dayLines) {
+        const id = parseInt(line.tokens[0]);
+        if (isNaN(id)) {
+            continue;
+        }
+        if (firstLineById.has(id)) {
+            findings.push({
+                severity: 'error', line: line.number, column: line.columns[0], field: 'day_id',
+                message: `day id ${id} is duplicated (first seen on line ${firstLineById.get(id)})`,
+                suggestion: 'give every day a unique id',
+            });
+        } else {
+            firstLineById.set(id, line.number);
+        }
+    }
+
+    // Day ids are expected to run 0, 1, 2, ... in file order
+    const missing = [];
+    for (let id = 0; id < dayLines.length; id++) {
+        if (!firstLineById.has(id)) {
+            missing.push(id);
+        }
+    }
+    if (missing.length > 0) {
+        const shown = missing.length > 10 ? `${missing.slice(0, 10).join(', ')}, ...` : missing.join(', ');
+        findings.push({
+            severity: 'error', line: dayLines[0].number, column: 1, field: 'day_id',
+            message: `${missing.length} day id(s) missing from the sequence 0..${dayLines.length - 1}: ${shown}`,
+            suggestion: 'number the day lines consecutively starting at 0',
+        });
+    }
+    return new Set(firstLineById.keys());
+}
+
+function checkEmployeeLines(employeeLines, dayIds, findings) {
+    const vacationIndex = EMPLOYEE_FIELDS.indexOf('vacation_days_csv_or_underscore');
+    for (const line of employeeLines) {
+        if (line.tokens.length !== EMPLOYEE_FIELDS.length) {
+            continue; // the parser already reports the field count
+        }
+
+        const vacation = line.tokens[vacationIndex];
+        if (vacation === '_') {
+            continue;
+        }
+        const unknown = vacation.split(',').map(d => parseInt(d)).filter(d => !isNaN(d) && !dayIds.has(d));
+        if (unknown.length > 0) {
+            findings.push({
+                severity: 'warning', line: line.number, column: line.columns[vacationIndex], field: 'vacation_days_csv_or_underscore',
+                message: `employee ${line.tokens[0]} has vacation on day(s) that do not exist: ${unknown.join(', ')}`,
+                suggestion: 'remove the unknown day ids',
+            });
+        }
+    }
+}
+
+/**
+ * Hours an employee can put into training before `lastDayId` without going
+ * into overtime: opening hours of open non-vacation days, capped weekly.
+ */
+function trainableHours(instance, employee, lastDayId) {
+    const hoursByWeek = new Map();
+    for (const day of instance.days) {
+        if (day.id >= lastDayId || day.isClosed || employee.isOnVacation(day.id)) {
+            continue;
+        }
+        const week = Math.floor(day.id / 7);
+        hoursByWeek.set(week, (hoursByWeek.get(week) || 0) + day.duration);
+    }
+    let total = 0;
+    for (const hours of hoursByWeek.values()) {
+        total += Math.min(hours, employee.maxHoursPerWeek);
+    }
+    return total;
+}
+
+function checkSkillSupply(instance, dayLines, findings) {
+    const known = new Set(instance.employees.flatMap(emp => [...emp.initialSkills]));
+
+    // skill -> open days that require it
+    const demand = new Map();
+    for (const day of instance.days) {
+        for (const skill of new Set(day.requiredSkills)) {
+            if (!demand.has(skill)) {
+                demand.set(skill, []);
+            }
+            demand.get(skill).push(day);
+        }
+    }
+
+    for (const [skill, days] of demand) {
+        if (known.has(skill)) {
+            continue;
+        }
+
+        // Nobody can teach it, so a learner earns only learning_rate points per hour
+        const lastDay = days[days.length - 1];
+        const learnable = instance.employees.some(employee => employee.learningRate > 0 &&
+            trainableHours(instance, employee, lastDay.id) >= Math.ceil(TRAINED_POINTS / employee.learningRate));
+
+        const line = dayLines.find(l => parseInt(l.tokens[0]) === days[0].id);
+        findings.push({
+            severity: learnable ? 'warning' : 'error',
+            line: line ? line.number : 0,
+            column: line ? line.columns[DAY_FIELDS.indexOf('required_skills_csv')] : 0,
+            field: 'required_skills_csv',
+            message: learnable
+                ? `skill '${skill}' is required on ${days.length} day(s) but no employee has it initially; it can only be learned without a teacher`
+                : `skill '${skill}' is required on ${days.length} day(s) but no employee has it and none can reach ${TRAINED_POINTS} points before day ${lastDay.id} without overtime`,
+            suggestion: `give at least one employee '${skill}' in skills_csv_or_underscore, or check the skill's spelling`,
+        });
+    }
+}
+
+/**
+ * Runs the parser in strict mode plus all consistency checks.
+ * @param {string} content
+ * @returns {LintFinding[]} Findings sorted by line
+ */
+function lintInput(content) {
+    const { instance, diagnostics } = diagnoseInput(content);
+    const findings = diagnostics.map(d => ({ severity: 'error', ...d }));
+
+    const lines = splitInputLines(content);
+    if (lines.length >= 2) {
+        const dayLines = findDayLines(lines);
+        checkDayCount(lines, dayLines, findings);
+        const dayIds = checkDayIds(dayLines, findings);
+        checkEmployeeLines(lines.slice(2 + dayLines.length), dayIds, findings);
+        // A partial instance lacks the lines that failed, so supply findings would only echo those errors
+        if (instance && diagnostics.length === 0) {
+            checkSkillSupply(instance, dayLines, findings);
+        }
+    }
+
+    // The parser and the checks above can report the same problem; keep one copy
+    const seen = new Set();
+    const unique = findings.filter(f => {
+        const key = `${f.line}:${f.column}:${f.message}`;
+        return seen.has(key) ? false : seen.add(key);
+    });
+    return unique.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = { lintInput };
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const { Organization, Day, Employee, Instance } = require('./domain');
+
+// --- Input Parsing ---
+//
+// Input layout (whitespace separated, blank lines ignored):
+//   overtime_modifier_percent fixed_daily_cost
+//   number_of_days
+//   day_id start end daily_revenue required_skills_csv    (open day)
+//   day_id                                                (closed day)
+//   id max_hours_per_week salary_per_hour learning_rate teaching_rate skills_csv_or_underscore vacation_days_csv_or_underscore
+
+const ORGANIZATION_FIELDS = ['overtime_modifier_percent', 'fixed_daily_cost'];
+const DAY_FIELDS = ['day_id', 'start', 'end', 'daily_revenue', 'required_skills_csv'];
+const EMPLOYEE_FIELDS = [
+    'id', 'max_hours_per_week', 'salary_per_hour', 'learning_rate', 'teaching_rate',
+    'skills_csv_or_underscore', 'vacation_days_csv_or_underscore',
+];
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * A single problem found in an input file.
+ * @typedef {object} InputDiagnostic
+ * @property {number} line 1-based line number (0 when the problem is about the whole file)
+ * @property {number} column 1-based column of the offending token
+ * @property {string} field Expected field name, e.g. `teaching_rate`
+ * @property {string} message What is wrong
+ * @property {string} suggestion How to fix it
+ */
+
+/**
+ * Formats a diagnostic as `line:column field: message (suggestion)`.
+ * @param {InputDiagnostic} diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic(diagnostic) {
+    const { line, column, field, message, suggestion } = diagnostic;
+    const location = line > 0 ? `${line}:${column}` : 'file';
+    return `${location} ${field}: ${message}${suggestion ? ` (fix: ${suggestion})` : ''}`;
+}
+
+/**
+ * Raised when an input file cannot be turned into an Instance.
+ * Carries every diagnostic that was collected before giving up.
+ */
+class InputParseError extends Error {
+    /**
+     * @param {InputDiagnostic[]} diagnostics
+     */
+    constructor(diagnostics) {
+        const lines = diagnostics.map(formatDiagnostic);
+        super(lines.length === 1 ? lines[0] : `${lines.length} problems in input:\n  ${lines.join('\n  ')}`);
+        this.name = 'InputParseError';
+        this.diagnostics = diagnostics;
+        this.line = diagnostics.length > 0 ? diagnostics[0].line : 0;
+    }
+}
+
+/**
+ * Thrown internally to unwind on the first problem outside strict mode.
+ */
+class StopParsing extends Error {}
+
+/**
+ * Splits a raw line into tokens, remembering the 1-based column of each.
+ * @param {string} text
+ * @param {number} number
+ * @returns {{number: number, text: string, tokens: string[], columns: number[]}}
+ */
+function tokenizeLine(text, number) {
+    const tokens = [];
+    const columns = [];
+    for (const match of text.matchAll(/\S+/g)) {
+        tokens.push(match[0]);
+        columns.push(match.index + 1);
+    }
+    return { number, text, tokens, columns };
+}
+
+/**
+ * Tokenizes every non-blank line of an input file. Original line numbers are
+ * kept so problems point at the file, not the filtered list.
+ * @param {string} content
+ * @returns {{number: number, text: string, tokens: string[], columns: number[]}[]}
+ */
+function splitInputLines(content) {
+    return content.split(/\r?\n/)
+        .map((text, index) => tokenizeLine(text, index + 1))
+        .filter(line => line.tokens.length > 0);
+}
+
+/**
+ * Splits a `_`-or-CSV field into its entries.
+ * @param {string} field
+ * @returns {string[]}
+ */
+function splitCsvOrUnderscore(field) {
+    return field === '_' ? [] : field.split(',');
+}
+
+/**
+ * Reads fields from one tokenized line and reports problems against it.
+ */
+class LineReader {
+    constructor(line, fields, report) {
+        this.line = line;
+        this.fields = fields;
+        this.report = report;
+        this.ok = true;
+    }
+
+    /**
+     * Column of field `index`, or just past the end of the line if it is missing.
+     */
+    column(index) {
+        if (index < this.line.columns.length) {
+            return this.line.columns[index];
+        }
+        return this.line.text.trimEnd().length + 2;
+    }
+
+    problem(index, message, suggestion, field = this.fields[index]) {
+        this.ok = false;
+        this.report({ line: this.line.number, column: this.column(index), field, message, suggestion });
+    }
+
+    /**
+     * Reports missing or surplus fields. Returns false when fields are missing.
+     */
+    checkFieldCount(kind) {
+        const { tokens } = this.line;
+        if (tokens.length < this.fields.length) {
+            const missing = this.fields.slice(tokens.length);
+            this.problem(tokens.length, `${kind} line has ${tokens.length} of ${this.fields.length} fields; missing ${missing.join(', ')}`,
+                `append ${missing.map(f => `<${f}>`).join(' ')}`);
+            return false;
+        }
+        if (tokens.length > this.fields.length) {
+            this.problem(this.fields.length, `${kind} line has ${tokens.length - this.fields.length} unexpected extra field(s): '${tokens.slice(this.fields.length).join(' ')}'`,
+                'remove the extra fields, and make sure CSV lists contain no spaces', 'end_of_line');
+        }
+        return true;
+    }
+
+    integer(index, { min = -Infinity } = {}) {
+        const token = this.line.tokens[index];
+        if (!INTEGER_PATTERN.test(token)) {
+            const rounded = Number.isFinite(Number(token)) ? Math.round(Number(token)) : null;
+            this.problem(index, `expected a whole number, found '${token}'`,
+                rounded !== null ? `use ${rounded}` : 'replace it with a whole number');
+            return NaN;
+        }
+        const value = parseInt(token);
+        if (value < min) {
+            this.problem(index, `expected a value of at least ${min}, found ${value}`, `use a value >= ${min}`);
+        }
+        return value;
+    }
+
+    /**
+     * Reads a comma separated list, optionally allowing `_` for "none".
+     */
+    csv(index, { allowUnderscore }) {
+        const token = this.line.tokens[index];
+        if (token === '_') {
+            if (!allowUnderscore) {
+                this.problem(index, 'expected at least one skill, found \'_\'', 'list the required skills, or make the day closed by keeping only day_id');
+            }
+            return [];
+        }
+        const entries = splitCsvOrUnderscore(token);
+        if (entries.some(entry => entry === '')) {
+            this.problem(index, `empty entry in '${token}'`, `use '${entries.filter(Boolean).join(',') || '_'}'`);
+        }
+        return entries.filter(Boolean);
+    }
+
+    integerCsv(index) {
+        const entries = this.csv(index, { allowUnderscore: true });
+        const bad = entries.filter(entry => !INTEGER_PATTERN.test(entry));
+        if (bad.length > 0) {
+            this.problem(index, `expected comma separated day ids, found ${bad.map(b => `'${b}'`).join(', ')}`,
+                'use whole-number day ids such as 3,4,10 or _ for none');
+        }
+        return entries.filter(entry => INTEGER_PATTERN.test(entry)).map(d => parseInt(d));
+    }
+}
+
+/**
+ * Parses input content, collecting diagnostics instead of throwing.
+ * In fail-fast mode parsing stops after the first problem.
+ * @param {string} content
+ * @param {{failFast?: boolean}} [options]
+ * @returns {{instance: Instance|null, diagnostics: InputDiagnostic[]}}
+ */
+function diagnoseInput(content, { failFast = false } = {}) {
+    const diagnostics = [];
+    const report = diagnostic => {
+        diagnostics.push(diagnostic);
+        if (failFast) {
+            throw new StopParsing();
+        }
+    };
+
+    const lines = splitInputLines(content);
+
+    let instance = null;
+    try {
+        instance = parseLines(lines, report);
+    } catch (e) {
+        if (!(e instanceof StopParsing)) {
+            throw e;
+        }
+    }
+    return { instance, diagnostics };
+}
+
+/**
+ * @returns {Instance|null}
+ */
+function parseLines(lines, report) {
+    if (lines.length < 2) {
+        report({
+            line: 0, column: 0, field: lines.length === 0 ? 'overtime_modifier_percent' : 'number_of_days',
+            message: 'input file is too short', suggestion: 'start with the organization line and the number of days',
+        });
+        return null;
+    }
+
+    // Organization
+    const orgReader = new LineReader(lines[0], ORGANIZATION_FIELDS, report);
+    let organization = new Organization(NaN, NaN);
+    if (orgReader.checkFieldCount('Organization')) {
+        organization = new Organization(orgReader.integer(0, { min: 0 }), orgReader.integer(1, { min: 0 }));
+    }
+
+    // Days
+    const countReader = new LineReader(lines[1], ['number_of_days'], report);
+    countReader.checkFieldCount('Day count');
+    let numDays = countReader.integer(0, { min: 0 });
+    if (!(numDays >= 0)) {
+        // Recover by treating every line up to the first employee-shaped one as a day
+        const firstEmployee = lines.findIndex((line, index) => index >= 2 && line.tokens.length === EMPLOYEE_FIELDS.length);
+        numDays = (firstEmployee === -1 ? lines.length : firstEmployee) - 2;
+    }
+
+    const dayLines = lines.slice(2, 2 + numDays);
+    if (dayLines.length < numDays) {
+        report({
+            line: lines[1].number, column: lines[1].columns[0], field: 'number_of_days',
+            message: `declares ${numDays} days but the file has only ${dayLines.length} line(s) after it`,
+            suggestion: `set number_of_days to the actual number of day lines or add the missing days`,
+        });
+    }
+
+    const days = [];
+    for (const line of dayLines) {
+        const day = parseDayLine(line, report);
+        if (day) {
+            days.push(day);
+        }
+    }
+
+    // Employees
+    const employees = [];
+    for (const line of lines.slice(2 + numDays)) {
+        const employee = parseEmployeeLine(line, report);
+        if (employee) {
+            employees.push(employee);
+        }
+    }
+
+    return new Instance(organization, days, employees);
+}
+
+/**
+ * @returns {Day|null}
+ */
+function parseDayLine(line, report) {
+    const reader = new LineReader(line, DAY_FIELDS, report);
+    if (line.tokens.length === EMPLOYEE_FIELDS.length) {
+        reader.problem(0, 'line has 7 fields like an employee, but falls inside the day section',
+            'check number_of_days on line 2; it may be larger than the number of day lines', 'day_id');
+        return null;
+    }
+
+    const id = reader.integer(0, { min: 0 });
+    if (line.tokens.length === 1) {
+        return reader.ok ? new Day(id, true) : null;
+    }
+    if (!reader.checkFieldCount('Open day')) {
+        return null;
+    }
+
+    const start = reader.integer(1, { min: 0 });
+    const end = reader.integer(2, { min: 0 });
+    const revenue = reader.integer(3, { min: 0 });
+    const requiredSkills = reader.csv(4, { allowUnderscore: false });
+    if (start >= end) {
+        reader.problem(2, `closing hour ${end} is not after opening hour ${start}`, `use an end hour greater than ${start}`);
+    }
+
+    return reader.ok ? new Day(id, false, start, end, revenue, requiredSkills) : null;
+}
+
+/**
+ * @returns {Employee|null}
+ */
+function parseEmployeeLine(line, report) {
+    const reader = new LineReader(line, EMPLOYEE_FIELDS, report);
+    if (!reader.checkFieldCount('Employee')) {
+        return null;
+    }
+
+    const employee = new Employee(
+        reader.integer(0, { min: 0 }),
+        reader.integer(1, { min: 0 }),
+        reader.integer(2, { min: 0 }),
+        reader.integer(3, { min: 0 }),
+        reader.integer(4, { min: 0 }),
+        new Set(reader.csv(5, { allowUnderscore: true })),
+        new Set(reader.integerCsv(6))
+    );
+    return reader.ok ? employee : null;
+}
+
+/**
+ * Parses input file content into an Instance.
+ * By default parsing stops at the first problem; with `strict` every problem
+ * in the file is collected before the InputParseError is thrown.
+ * @param {string} content
+ * @param {{strict?: boolean}} [options]
+ * @returns {Instance}
+ */
+function parseInput(content, { strict = false } = {}) {
+    const { instance, diagnostics } = diagnoseInput(content, { failFast: !strict });
+    if (diagnostics.length > 0) {
+        throw new InputParseError(diagnostics);
+    }
+    return instance;
+}
+
+/**
+ * Reads and parses an input file.
+ * @param {string} filePath
+ * @param {{strict?: boolean}} [options]
+ * @returns {Instance}
+ */
+function readInput(filePath, options) {
+    return parseInput(fs.readFileSync(filePath, 'utf8'), options);
+}
+
+module.exports = {
+    DAY_FIELDS,
+    EMPLOYEE_FIELDS,
+    InputParseError,
+    formatDiagnostic,
+    diagnoseInput,
+    parseInput,
+    readInput,
+    splitInputLines,
+};
@@ -0,0 +1,238 @@
+const { Organization, Day, Employee, Shift, Instance } = require('./domain');
+const { parseInput } = require('./inputParser');
+const { formatInput } = require('./textFormat');
+
+// --- JSON Formats ---
+//
+// Instance JSON mirrors the domain classes field for field:
+//
+//   {
+//     "kind": "instance",
+//     "version": 1,
+//     "organization": { "overtimeMod": 150, "fixedCost": 300 },
+//     "days": [
+//       { "id": 0, "isClosed": false, "start": 9, "end": 17, "revenue": 1000,
+//         "requiredSkills": ["Cashier", "Stocking", "Stocking"] },
+//       { "id": 1, "isClosed": true }
+//     ],
+//     "employees": [
+//       { "id": 3, "maxHoursPerWeek": 24, "salaryPerHour": 18, "learningRate": 5,
+//         "teachingRate": 5, "initialSkills": ["Stocking", "Cashier"], "vacationDays": [4, 5] }
+//     ],
+//     "trailingNewline": true
+//   }
+//
+// Schedule JSON lists the output lines in file order:
+//
+//   {
+//     "kind": "schedule",
+//     "version": 1,
+//     "days": [
+//       { "id": 0, "shifts": [ { "employeeId": 1, "start": 9, "end": 17, "skill": "Cashier" } ] },
+//       { "id": 1, "shifts": [] }
+//     ],
+//     "trailingNewline": false
+//   }
+//
+// Lists keep file order (repeated required skills included). A shift token that
+// does not read back as `employee-start-end-skill` is kept verbatim as
+// `{ "token": "67-6-1Red-Wine" }`, so hand-edited files survive a round trip.
+// A day written `5_` (accepted with a warning by outputParser.js) has
+// `"compactEmpty": true`, so it is written back the same way.
+// `trailingNewline` records whether the text file ended with a newline; with it,
+// text -> JSON -> text gives back the original bytes.
+
+const FORMAT_VERSION = 1;
+
+/**
+ * @param {Instance} instance
+ * @param {{trailingNewline?: boolean}} [options]
+ * @returns {object}
+ */
+function instanceToJson(instance, { trailingNewline = false } = {}) {
+    return {
+        kind: 'instance',
+        version: FORMAT_VERSION,
+        organization: {
+            overtimeMod: instance.organization.overtimeMod,
+            fixedCost: instance.organization.fixedCost,
+        },
+        days: instance.days.map(day => (day.isClosed
+            ? { id: day.id, isClosed: true }
+            : {
+                id: day.id, isClosed: false, start: day.start, end: day.end,
+                revenue: day.revenue, requiredSkills: [...day.requiredSkills],
+            })),
+        employees: instance.employees.map(emp => ({
+            id: emp.id,
+            maxHoursPerWeek: emp.maxHoursPerWeek,
+            salaryPerHour: emp.salaryPerHour,
+            learningRate: emp.learningRate,
+            teachingRate: emp.teachingRate,
+            initialSkills: [...emp.initialSkills],
+            vacationDays: [...emp.vacationDays],
+        })),
+        trailingNewline,
+    };
+}
+
+/**
+ * @param {object} json Instance JSON as produced by instanceToJson
+ * @returns {Instance}
+ */
+function jsonToInstance(json) {
+    expectKind(json, 'instance');
+    const organization = new Organization(json.organization.overtimeMod, json.organization.fixedCost);
+    const days = json.days.map(day => (day.isClosed
+        ? new Day(day.id, true)
+        : new Day(day.id, false, day.start, day.end, day.revenue, [...day.requiredSkills])));
+    const employees = json.employees.map(emp => new Employee(
+        emp.id, emp.maxHoursPerWeek, emp.salaryPerHour, emp.learningRate, emp.teachingRate,
+        new Set(emp.initialSkills), new Set(emp.vacationDays)
+    ));
+    return new Instance(organization, days, employees);
+}
+
+/**
+ * @param {string} text Input file content
+ * @returns {object}
+ */
+function instanceTextToJson(text) {
+    const json = instanceToJson(parseInput(text, { strict: true }), { trailingNewline: text.endsWith('\n') });
+
+    // Layout the JSON cannot express (extra spaces, leading zeros, blank lines) would be lost
+    const roundTrip = instanceJsonToText(json);
+    if (roundTrip !== text) {
+        const original = text.split('\n');
+        const index = roundTrip.split('\n').findIndex((line, i) => line !== original[i]);
+        throw new Error(`Line ${index + 1}: '${original[index]}' is not in canonical layout; conversion would not be lossless`);
+    }
+    return json;
+}
+
+/**
+ * @param {object} json
+ * @returns {string} Input file content
+ */
+function instanceJsonToText(json) {
+    return formatInput(jsonToInstance(json)) + (json.trailingNewline ? '\n' : '');
+}
+
+/**
+ * Converts a token to its JSON form, falling back to the raw token when it
+ * would not format back to the same text.
+ * @param {string} token
+ * @returns {object}
+ */
+function tokenToJson(token) {
+    try {
+        const shift = Shift.fromToken(token);
+        if (shift.toString() === token) {
+            return { employeeId: shift.employeeId, start: shift.start, end: shift.end, skill: shift.skill };
+        }
+    } catch (e) {
+        // fall through to the verbatim form
+    }
+    return { token };
+}
+
+/**
+ * @param {Map<number, Shift[]>} schedule
+ * @param {{trailingNewline?: boolean}} [options]
+ * @returns {object}
+ */
+function scheduleToJson(schedule, { trailingNewline = false } = {}) {
+    return {
+        kind: 'schedule',
+        version: FORMAT_VERSION,
+        days: [...schedule].map(([id, shifts]) => ({
+            id,
+            shifts: shifts.map(s => ({ employeeId: s.employeeId, start: s.start, end: s.end, skill: s.skill })),
+        })),
+        trailingNewline,
+    };
+}
+
+/**
+ * @param {object} json Schedule JSON
+ * @returns {Map<number, Shift[]>}
+ * @throws {Error} when a shift was kept as a verbatim token
+ */
+function jsonToSchedule(json) {
+    expectKind(json, 'schedule');
+    const schedule = new Map();
+    for (const day of json.days) {
+        schedule.set(day.id, day.shifts.map(s => {
+            if (s.token !== undefined) {
+                throw new Error(`Day ${day.id}: malformed shift token '${s.token}'`);
+            }
+            return new Shift(s.employeeId, s.start, s.end, s.skill);
+        }));
+    }
+    return schedule;
+}
+
+/**
+ * @param {string} text Schedule file content
+ * @returns {object}
+ */
+function scheduleTextToJson(text) {
+    const lines = text.split('\n');
+    const trailingNewline = lines[lines.length - 1] === '';
+    if (trailingNewline) {
+        lines.pop();
+    }
+
+    const days = lines.map((line, index) => {
+        if (/^(0|[1-9]\d*)_$/.test(line)) {
+            return { id: Number(line.slice(0, -1)), shifts: [], compactEmpty: true };
+        }
+        const parts = line.split(' ');
+        const id = Number(parts[0]);
+        if (!/^(0|[1-9]\d*)$/.test(parts[0]) || parts.length < 2 || parts.includes('')) {
+            throw new Error(`Line ${index + 1}: expected 'day_id _', 'day_id_' or 'day_id token ...', found '${line}'`);
+        }
+        if (parts.length === 2 && parts[1] === '_') {
+            return { id, shifts: [] };
+        }
+        return { id, shifts: parts.slice(1).map(tokenToJson) };
+    });
+
+    return { kind: 'schedule', version: FORMAT_VERSION, days, trailingNewline };
+}
+
+/**
+ * @param {object} json
+ * @returns {string} Schedule file content
+ */
+function scheduleJsonToText(json) {
+    expectKind(json, 'schedule');
+    const lines = json.days.map(day => {
+        if (day.shifts.length === 0) {
+            return day.compactEmpty ? `${day.id}_` : `${day.id} _`;
+        }
+        const tokens = day.shifts.map(s => (s.token !== undefined ? s.token : `${s.employeeId}-${s.start}-${s.end}-${s.skill}`));
+        return `${day.id} ${tokens.join(' ')}`;
+    });
+    return lines.join('\n') + (json.trailingNewline ? '\n' : '');
+}
+
+function expectKind(json, kind) {
+    if (!json || json.kind !== kind) {
+        throw new Error(`Expected ${kind} JSON, found kind '${json && json.kind}'`);
+    }
+    if (json.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported ${kind} JSON version ${json.version} (expected ${FORMAT_VERSION})`);
+    }
+}
+
+module.exports = {
+    instanceToJson,
+    jsonToInstance,
+    instanceTextToJson,
+    instanceJsonToText,
+    scheduleToJson,
+    jsonToSchedule,
+    scheduleTextToJson,
+    scheduleJsonToText,
+};
@@ -0,0 +1,313 @@
+const { earliestTraining } = require('./branchAndBound');
+const { skillDemand } = require('./skillDemand');
+
+// --- Model Export ---
+//
+// Writes an instance as a mixed-integer program, in CPLEX LP format and as an
+// equivalent MiniZinc model, so an external MIP solver can compute bounds for
+// instances too large for the exact solver. The model follows the shift rules
+// (lib/shiftRules.js) and the official scoring profile (lib/scoring.js):
+//   x[d, h, e, s]  1 if employee e works skill s in hour h of day d. Only
+//                  exists inside the opening window, for required skills and
+//                  for employees not on vacation that day; at most one skill
+//                  per employee and hour, so shifts cannot overlap.
+//   cov[d, h, s]   covered slots: at most the slots the day needs, and at most
+//                  trained workers + half the untrained ones
+//   level[d]       capacity in half-slot steps: C = level / (2 x skill hours);
+//                  a binary per level makes revenue R x C^2 linear (its LP
+//                  relaxation is the chord R x C)
+//   base, ot       weekly hours (week = floor(day id / 7)) up to
+//                  max_hours_per_week, and the overtime above it. Where the
+//                  overtime rate is below the salary (overtimeMod < 100), a
+//                  binary full[e, w] keeps ot at 0 until base is at the cap,
+//                  as the solver would otherwise book cheap overtime first
+// The objective is revenue minus base pay, overtime pay and fixed costs.
+// Training is optimistic, as in the exact solver's bound: an untrained
+// employee counts as trained from the first day enough points could have been
+// earned at the instance's highest teaching rate. Every valid schedule is
+// therefore a solution with at least its official profit, and the optimum is
+// an upper bound. It is the exact optimum when nobody can finish training
+// within the horizon.
+
+const LP_LINE_LENGTH = 200;
+
+function formatNumber(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Collects the model's sets and coefficients in one pass over the instance.
+ * @param {import('./domain').Instance} instance
+ */
+function describeModel(instance) {
+    const days = [...instance.days].sort((a, b) => a.id - b.id);
+    const earliest = earliestTraining(instance, days);
+    const skills = [...new Set(days.flatMap(day => day.requiredSkills))];
+    const skillIndex = new Map(skills.map((skill, index) => [skill, index]));
+
+    const openDays = [];
+    for (const [index, day] of days.entries()) {
+        if (day.isClosed || day.requiredSkills.length === 0) continue;
+        const demand = skillDemand(day.requiredSkills);
+        const gain = new Map(); // "employeeId skill" -> 1 (trained) or 0.5
+        const available = instance.employees.filter(employee => !employee.isOnVacation(day.id));
+        for (const employee of available) {
+            for (const skill of demand.keys()) {
+                const trained = employee.initialSkills.has(skill) || earliest.get(`${employee.id} ${skill}`) <= index;
+                gain.set(`${employee.id} ${skill}`, trained ? 1 : 0.5);
+            }
+        }
+        openDays.push({ day, demand, available, gain, halfSlots: 2 * day.totalSkillHours() });
+    }
+    return { instance, days, skills, skillIndex, openDays };
+}
+
+// --- CPLEX LP ---
+
+/**
+ * Formats an instance as a CPLEX LP file.
+ * @param {import('./domain').Instance} instance
+ * @returns {string}
+ */
+function formatLpModel(instance) {
+    const model = describeModel(instance);
+    const { organization } = instance;
+    const x = (dayId, hour, employeeId, skill) => `x_d${dayId}_h${hour}_e${employeeId}_s${model.skillIndex.get(skill)}`;
+    const cov = (dayId, hour, skill) => `cov_d${dayId}_h${hour}_s${model.skillIndex.get(skill)}`;
+    const level = (dayId, k) => `level_d${dayId}_k${k}`;
+
+    const lines = [];
+    const binaries = [];
+    const bounds = [];
+    const writeRow = (label, terms, tail) => {
+        let line = label ? ` ${label}:` : '';
+        terms.forEach(([coefficient, name], i) => {
+            const sign = coefficient < 0 ? '-' : (i === 0 ? '' : '+');
+            const magnitude = Math.abs(coefficient) === 1 ? '' : `${formatNumber(Math.abs(coefficient))} `;
+            const term = ` ${sign}${sign ? ' ' : ''}${magnitude}${name}`;
+            if (line.length + term.length > LP_LINE_LENGTH) {
+                lines.push(line);
+                line = '  ';
+            }
+            line += term;
+        });
+        lines.push(`${line}${tail ? ` ${tail}` : ''}`);
+    };
+
+    lines.push('\\ Shift planning model (see lib/modelExport.js)');
+    lines.push('\\ x_d<day>_h<hour>_e<employee>_s<skill>: employee works skill in hour');
+    model.skills.forEach((skill, index) => lines.push(`\\ s${index} = ${skill}`));
+
+    // Objective
+    const objective = [];
+    for (const { day, halfSlots } of model.openDays) {
+        for (let k = 1; k <= halfSlots; k++) {
+            objective.push([day.revenue * (k / halfSlots) ** 2, level(day.id, k)]);
+        }
+    }
+    const weeks = new Map(); // "employeeId week" -> x variables
+    const weekHours = new Map(); // "employeeId week" -> opening hours the employee could work
+    for (const { day, demand, available } of model.openDays) {
+        for (const employee of available) {
+            const key = `${employee.id} ${Math.floor(day.id / 7)}`;
+            if (!weeks.has(key)) weeks.set(key, []);
+            weekHours.set(key, (weekHours.get(key) || 0) + day.duration);
+            for (let hour = day.start; hour < day.end; hour++) {
+                for (const skill of demand.keys()) weeks.get(key).push(x(day.id, hour, employee.id, skill));
+            }
+        }
+    }
+    weeks.forEach((_, key) => {
+        const [employeeId, week] = key.split(' ');
+        const employee = instance.getEmployee(Number(employeeId));
+        objective.push([-employee.salaryPerHour, `base_e${employeeId}_w${week}`]);
+        objective.push([-organization.overtimeRate(employee.salaryPerHour), `ot_e${employeeId}_w${week}`]);
+    });
+    objective.push([-organization.fixedCost * model.days.length, 'fixed_costs']);
+    lines.push('Maximize');
+    writeRow('profit', objective);
+
+    lines.push('Subject To');
+    for (const { day, demand, available, gain, halfSlots } of model.openDays) {
+        for (let hour = day.start; hour < day.end; hour++) {
+            // One skill per employee and hour
+            for (const employee of available) {
+                const names = [...demand.keys()].map(skill => x(day.id, hour, employee.id, skill));
+                binaries.push(...names);
+                if (names.length > 1) {
+                    writeRow(`one_d${day.id}_h${hour}_e${employee.id}`, names.map(name => [1, name]), '<= 1');
+                }
+            }
+            // Coverage: trained workers count fully, untrained ones half
+            for (const [skill, slots] of demand) {
+                const terms = available.map(employee => [-gain.get(`${employee.id} ${skill}`), x(day.id, hour, employee.id, skill)]);
+                writeRow(`cover_d${day.id}_h${hour}_s${model.skillIndex.get(skill)}`, [[1, cov(day.id, hour, skill)], ...terms], '<= 0');
+                bounds.push(` 0 <= ${cov(day.id, hour, skill)} <= ${slots}`);
+            }
+        }
+
+        // Capacity level: one level per day, reached by the covered half slots
+        const levels = [];
+        for (let k = 1; k <= halfSlots; k++) levels.push(level(day.id, k));
+        binaries.push(...levels);
+        writeRow(`level_one_d${day.id}`, levels.map(name => [1, name]), '<= 1');
+        const covered = [];
+        for (let hour = day.start; hour < day.end; hour++) {
+            for (const skill of demand.keys()) covered.push([-2, cov(day.id, hour, skill)]);
+        }
+        writeRow(`level_reached_d${day.id}`, [...levels.map((name, i) => [i + 1, name]), ...covered], '<= 0');
+    }
+
+    // Weekly hours split into base hours and overtime
+    weeks.forEach((names, key) => {
+        const [employeeId, week] = key.split(' ');
+        const employee = instance.getEmployee(Number(employeeId));
+        const base = `base_e${employeeId}_w${week}`;
+        const ot = `ot_e${employeeId}_w${week}`;
+        const terms = [...names.map(name => [1, name]), [-1, base], [-1, ot]];
+        writeRow(`hours_e${employeeId}_w${week}`, terms, '= 0');
+        bounds.push(` 0 <= ${base} <= ${employee.maxHoursPerWeek}`);
+
+        // Base hours before overtime, where overtime would be cheaper
+        if (organization.overtimeRate(employee.salaryPerHour) < employee.salaryPerHour) {
+            const full = `full_e${employeeId}_w${week}`;
+            binaries.push(full);
+            writeRow(`base_full_e${employeeId}_w${week}`, [[1, base], [-employee.maxHoursPerWeek, full]], '>= 0');
+            writeRow(`ot_after_e${employeeId}_w${week}`, [[1, ot], [-weekHours.get(key), full]], '<= 0');
+        }
+    });
+
+    lines.push('Bounds');
+    lines.push(...bounds);
+    lines.push(' fixed_costs = 1');
+    lines.push('Binaries');
+    for (let i = 0; i < binaries.length; i += 8) lines.push(` ${binaries.slice(i, i + 8).join(' ')}`);
+    lines.push('End');
+    return lines.join('\n');
+}
+
+// --- MiniZinc ---
+
+function minizincFloat(value) {
+    const text = formatNumber(value);
+    return /[.e]/.test(text) ? text : `${text}.0`;
+}
+
+function minizincArray(values) {
+    return `[${values.join(', ')}]`;
+}
+
+function minizincTable(rows) {
+    if (rows.length === 0 || rows[0].length === 0) return '[| |]';
+    return `[|\n${rows.map(row => `    ${row.join(', ')}`).join(' |\n')} |]`;
+}
+
+/**
+ * Formats an instance as a MiniZinc model with its data included. Solving it
+ * with a MIP backend prints the profit and one schedule line per day, with
+ * one-hour tokens.
+ * @param {import('./domain').Instance} instance
+ * @returns {string}
+ */
+function formatMiniZincModel(instance) {
+    const model = describeModel(instance);
+    const { days, skills, openDays } = model;
+    const { employees, organization } = instance;
+    const open = new Map(openDays.map(entry => [entry.day.id, entry]));
+    const firstHour = Math.min(24, ...openDays.map(({ day }) => day.start));
+    const lastHour = Math.max(firstHour + 1, ...openDays.map(({ day }) => day.end));
+    const maxHalfSlots = Math.max(0, ...openDays.map(entry => entry.halfSlots));
+
+    const slots = days.map(day => skills.map(skill => (open.has(day.id) ? open.get(day.id).demand.get(skill) || 0 : 0)));
+    const gain = days.flatMap(day => employees.map(employee => skills.map(skill => {
+        const entry = open.get(day.id);
+        return minizincFloat(entry ? entry.gain.get(`${employee.id} ${skill}`) || 0 : 0);
+    })));
+    const levelRevenue = days.map(day => {
+        const entry = open.get(day.id);
+        const row = [];
+        for (let k = 0; k <= maxHalfSlots; k++) {
+            row.push(minizincFloat(entry && k <= entry.halfSlots ? day.revenue * (k / entry.halfSlots) ** 2 : 0));
+        }
+        return row;
+    });
+
+    const lines = [
+        '% Shift planning model (see lib/modelExport.js). Solve with a MIP backend.',
+        '',
+        '% --- Data ---',
+        `int: n_days = ${days.length};`,
+        `int: n_employees = ${employees.length};`,
+        `int: n_skills = ${skills.length};`,
+        `int: max_half_slots = ${maxHalfSlots};`,
+        `int: fixed_cost = ${organization.fixedCost};`,
+        'set of int: DAY = 1..n_days;',
+        'set of int: EMP = 1..n_employees;',
+        'set of int: SKILL = 1..n_skills;',
+        `set of int: HOUR = ${firstHour}..${lastHour - 1};`,
+        'set of int: LEVEL = 0..max_half_slots;',
+        '',
+        `array[DAY] of int: day_id = ${minizincArray(days.map(day => day.id))};`,
+        `array[DAY] of bool: is_open = ${minizincArray(days.map(day => open.has(day.id)))};`,
+        `array[DAY] of int: opening = ${minizincArray(days.map(day => day.start))};`,
+        `array[DAY] of int: closing = ${minizincArray(days.map(day => day.end))};`,
+        `array[DAY] of int: week = ${minizincArray(days.map(day => Math.floor(day.id / 7)))};`,
+        `array[DAY] of int: half_slots = ${minizincArray(days.map(day => (open.has(day.id) ? open.get(day.id).halfSlots : 0)))};`,
+        '% slots[d, s]: workers needed on skill s in every opening hour of day d',
+        `array[DAY, SKILL] of int: slots = ${minizincTable(slots)};`,
+        '% level_revenue[d, k]: revenue R x C^2 at capacity C = k / half_slots[d]',
+        `array[DAY, LEVEL] of float: level_revenue = ${minizincTable(levelRevenue)};`,
+        `array[SKILL] of string: skill_name = ${minizincArray(skills.map(skill => JSON.stringify(skill)))};`,
+        `array[EMP] of int: employee_id = ${minizincArray(employees.map(e => e.id))};`,
+        `array[EMP] of int: max_hours = ${minizincArray(employees.map(e => e.maxHoursPerWeek))};`,
+        `array[EMP] of int: salary = ${minizincArray(employees.map(e => e.salaryPerHour))};`,
+        `array[EMP] of int: overtime_rate = ${minizincArray(employees.map(e => organization.overtimeRate(e.salaryPerHour)))};`,
+        `array[DAY, EMP] of bool: vacation = ${minizincTable(days.map(day => employees.map(e => e.isOnVacation(day.id))))};`,
+        '% gain[d, e, s]: coverage per hour worked, 1 if (optimistically) trained, else 0.5',
+        `array[DAY, EMP, SKILL] of float: gain = array3d(DAY, EMP, SKILL, ${minizincArray(gain)});`,
+        'set of int: WEEK = min(week)..max(week);',
+        '',
+        '% --- Variables ---',
+        'array[DAY, HOUR, EMP, SKILL] of var 0..1: x;',
+        'array[DAY, HOUR, SKILL] of var 0.0..int2float(max(slots)): cov;',
+        'array[DAY] of var LEVEL: level;',
+        'array[EMP, WEEK] of var 0..168: base;',
+        'array[EMP, WEEK] of var 0..168: overtime;',
+        '',
+        '% --- Constraints ---',
+        '% No work on closed days, outside the opening window, on vacation or on skills the day does not need',
+        'constraint forall(d in DAY, h in HOUR, e in EMP, s in SKILL)(',
+        '    (not is_open[d] \\/ h < opening[d] \\/ h >= closing[d] \\/ vacation[d, e] \\/ slots[d, s] = 0) -> x[d, h, e, s] = 0);',
+        '% One skill per employee and hour, so shifts cannot overlap',
+        'constraint forall(d in DAY, h in HOUR, e in EMP)(sum(s in SKILL)(x[d, h, e, s]) <= 1);',
+        '% Coverage: at most the slots needed, trained workers count fully and untrained ones half',
+        'constraint forall(d in DAY, h in HOUR, s in SKILL)(',
+        '    cov[d, h, s] <= slots[d, s] /\\ cov[d, h, s] <= sum(e in EMP)(gain[d, e, s] * x[d, h, e, s]));',
+        '% Capacity level reached by the covered half slots',
+        'constraint forall(d in DAY)(level[d] <= half_slots[d] /\\ int2float(level[d]) <= 2.0 * sum(h in HOUR, s in SKILL)(cov[d, h, s]));',
+        '% Weekly hours split into base hours and overtime',
+        'constraint forall(e in EMP, w in WEEK)(',
+        '    base[e, w] <= max_hours[e] /\\',
+        '    base[e, w] + overtime[e, w] = sum(d in DAY where week[d] = w, h in HOUR, s in SKILL)(x[d, h, e, s]));',
+        '% Base hours before overtime, where overtime would be cheaper',
+        'constraint forall(e in EMP, w in WEEK where overtime_rate[e] < salary[e])(',
+        '    overtime[e, w] > 0 -> base[e, w] = max_hours[e]);',
+        '',
+        '% --- Objective ---',
+        'var float: profit = sum(d in DAY)(level_revenue[d, level[d]])',
+        '    - sum(e in EMP, w in WEEK)(salary[e] * base[e, w] + overtime_rate[e] * overtime[e, w])',
+        '    - fixed_cost * n_days;',
+        'solve maximize profit;',
+        '',
+        'output ["% profit \\(profit)\\n"] ++',
+        '    [let { string: tokens = concat([" \\(employee_id[e])-\\(h)-\\(h + 1)-" ++ skill_name[s]',
+        '        | h in HOUR, e in EMP, s in SKILL where fix(x[d, h, e, s]) = 1]) }',
+        '    in show(day_id[d]) ++ (if tokens = "" then " _" else tokens endif) ++ "\\n" | d in DAY];',
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    formatLpModel,
+    formatMiniZincModel,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const { Shift } = require('./domain');
+
+// --- Output (Schedule) Parsing ---
+//
+// Output layout: one line per calendar day, in day order.
+//   day_id employee_id-start-end-skill [more tokens...]
+//   day_id _                                   (no shifts)
+//
+// The parser never throws on bad content. It keeps every token it can read and
+// reports the rest as problems with their position, so one run shows all of
+// them. `5_` and a bare `5` are read as "no shifts" but flagged, since only
+// `5 _` is the documented form.
+
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * A problem found in an output file.
+ * @typedef {object} OutputProblem
+ * @property {string} code Stable identifier, e.g. `BAD_DASH_COUNT`
+ * @property {'error'|'warning'} severity
+ * @property {number} line 1-based line number (0 for whole-file problems)
+ * @property {number} column 1-based column of the token (0 when not applicable)
+ * @property {string} token The offending token ('' when not applicable)
+ * @property {number|null} dayId Day the problem belongs to, when known
+ * @property {number|null} employeeId Employee of the shift token, when its employee field is a whole number
+ * @property {string} message
+ */
+
+/**
+ * Formats a problem as `line:column [CODE] message`.
+ * @param {OutputProblem} problem
+ * @returns {string}
+ */
+function formatProblem(problem) {
+    const location = problem.line > 0 ? `${problem.line}:${problem.column}` : 'file';
+    return `${location} [${problem.code}] ${problem.message}`;
+}
+
+/**
+ * Reads one shift token. Returns null (after reporting) when it is unusable.
+ * @param {string} token
+ * @param {(code: string, message: string, employeeId: number|null) => void} reportProblem
+ * @param {Set<string>|null} knownSkills Lets skills containing dashes through
+ * @returns {Shift|null}
+ */
+function parseShiftToken(token, reportProblem, knownSkills) {
+    let parts = token.split('-');
+    // Problems name the employee whenever the employee field itself is readable
+    const parsedEmployee = INTEGER_PATTERN.test(parts[0]) ? parseInt(parts[0]) : null;
+    const report = (code, message) => reportProblem(code, message, parsedEmployee);
+    if (parts.length > 4 && knownSkills && knownSkills.has(parts.slice(3).join('-'))) {
+        parts = [...parts.slice(0, 3), parts.slice(3).join('-')];
+    }
+    if (parts.length !== 4) {
+        report('BAD_DASH_COUNT', `shift token '${token}' has ${parts.length - 1} dash(es); expected employee-start-end-skill`);
+        return null;
+    }
+
+    const [employeeId, start, end, skill] = parts;
+    let ok = true;
+    if (!INTEGER_PATTERN.test(employeeId)) {
+        report('NON_INTEGER_EMPLOYEE', `employee id '${employeeId}' in '${token}' is not a whole number`);
+        ok = false;
+    }
+    for (const [name, value] of [['start', start], ['end', end]]) {
+        if (!INTEGER_PATTERN.test(value)) {
+            report('NON_INTEGER_HOUR', `${name} hour '${value}' in '${token}' is not a whole number`);
+            ok = false;
+        }
+    }
+    if (skill === '') {
+        report('EMPTY_SKILL', `shift token '${token}' has no skill`);
+        ok = false;
+    }
+    if (!ok) {
+        return null;
+    }
+
+    const shift = new Shift(parseInt(employeeId), parseInt(start), parseInt(end), skill);
+    if (shift.duration <= 0) {
+        report('INVALID_DURATION', `shift '${token}' does not end after it starts`);
+        return null;
+    }
+    return shift;
+}
+
+/**
+ * Parses schedule content.
+ * With an instance, day ids are checked against it: unknown ids and days
+ * without an output line are reported too.
+ * @param {string} content
+ * @param {import('./domain').Instance} [instance]
+ * @returns {{schedule: Map<number, Shift[]>, problems: OutputProblem[]}}
+ */
+function parseOutput(content, instance = null) {
+    const schedule = new Map();
+    const problems = [];
+    const knownSkills = instance
+        ? new Set(instance.days.flatMap(day => day.requiredSkills))
+        : null;
+
+    content.split(/\r?\n/).forEach((text, index) => {
+        const tokens = [...text.matchAll(/\S+/g)];
+        if (tokens.length === 0) {
+            return;
+        }
+        const lineNumber = index + 1;
+        let dayId = null;
+        const reportAt = (match, code, message, severity = 'error', employeeId = null) => problems.push({
+            code, severity, line: lineNumber, column: match ? match.index + 1 : 0,
+            token: match ? match[0] : '', dayId, employeeId, message,
+        });
+
+        // Day id, including the non-conforming `5_` form
+        const [first, ...rest] = tokens;
+        let dayToken = first[0];
+        let emptyMarker = false;
+        if (/^\d+_$/.test(dayToken) && rest.length === 0) {
+            dayToken = dayToken.slice(0, -1);
+            emptyMarker = true;
+            dayId = parseInt(dayToken);
+            reportAt(first, 'NONCONFORMING_EMPTY_DAY', `'${first[0]}' should be written '${dayToken} _'`, 'warning');
+        } else if (!INTEGER_PATTERN.test(dayToken)) {
+            reportAt(first, 'MALFORMED_DAY_ID', `day id '${dayToken}' is not a whole number; line skipped`);
+            return;
+        }
+        dayId = parseInt(dayToken);
+
+        if (instance && !instance.getDay(dayId)) {
+            reportAt(first, 'UNKNOWN_DAY', `day ${dayId} does not exist in the input; line skipped`);
+            return;
+        }
+        if (schedule.has(dayId)) {
+            reportAt(first, 'DUPLICATE_DAY', `day ${dayId} already has a line; this one is ignored`);
+            return;
+        }
+
+        if (!emptyMarker && rest.length === 0) {
+            reportAt(first, 'NONCONFORMING_EMPTY_DAY', `day ${dayId} has no shifts and no '_'; write '${dayId} _'`, 'warning');
+        }
+        if (rest.length === 1 && rest[0][0] === '_') {
+            schedule.set(dayId, []);
+            return;
+        }
+
+        const shifts = [];
+        for (const match of rest) {
+            if (match[0] === '_') {
+                reportAt(match, 'UNDERSCORE_WITH_SHIFTS', `'_' mixed with shift tokens on day ${dayId}`);
+                continue;
+            }
+            const shift = parseShiftToken(match[0], (code, message, employeeId) => reportAt(match, code, message, 'error', employeeId), knownSkills);
+            if (shift) {
+                shifts.push(shift);
+            }
+        }
+        schedule.set(dayId, shifts);
+    });
+
+    if (instance) {
+        for (const day of instance.days) {
+            if (!schedule.has(day.id)) {
+                problems.push({
+                    code: 'MISSING_DAY', severity: 'error', line: 0, column: 0, token: '', dayId: day.id, employeeId: null,
+                    message: `day ${day.id} has no output line`,
+                });
+            }
+        }
+    }
+
+    return { schedule, problems };
+}
+
+/**
+ * Reads and parses a schedule file.
+ * @param {string} filePath
+ * @param {import('./domain').Instance} [instance]
+ * @returns {{schedule: Map<number, Shift[]>, problems: OutputProblem[]}}
+ */
+function readOutput(filePath, instance) {
+    return parseOutput(fs.readFileSync(filePath, 'utf8'), instance);
+}
+
+module.exports = {
+    formatProblem,
+    parseOutput,
+    readOutput,
+};
@@ -0,0 +1,68 @@
+// --- Report Tables ---
+//
+// Renders rows of figures either as an aligned terminal table or as CSV.
+// A column is `{key, title, digits}`: `digits` fixes the decimals of numeric
+// cells; without it values are printed as they are.
+
+/**
+ * @typedef {object} Column
+ * @property {string} key Property read from each row
+ * @property {string} title Header text
+ * @property {number} [digits] Decimals for numeric values
+ */
+
+function cellText(column, value) {
+    if (typeof value === 'number' && column.digits !== undefined) {
+        return value.toFixed(column.digits);
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Formats a profit or cost with two decimals and thousands separators.
+ * @param {number} value
+ * @returns {string} e.g. "-38,621.00"
+ */
+function formatProfit(value) {
+    return value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+/**
+ * Formats rows as a table with right-aligned columns.
+ * @param {Column[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+    const cells = rows.map(row => columns.map(c => cellText(c, row[c.key])));
+    const widths = columns.map((c, i) => Math.max(c.title.length, ...cells.map(r => r[i].length)));
+    const line = values => values.map((v, i) => v.padStart(widths[i])).join('  ');
+
+    return [
+        line(columns.map(c => c.title)),
+        widths.map(w => '-'.repeat(w)).join('  '),
+        ...cells.map(line),
+    ].join('\n');
+}
+
+/**
+ * Formats rows as CSV with a header line. Values containing commas or quotes
+ * are quoted.
+ * @param {Column[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function formatCsv(columns, rows) {
+    const escape = text => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const line = values => values.map(escape).join(',');
+    return [
+        line(columns.map(c => c.key)),
+        ...rows.map(row => line(columns.map(c => cellText(c, row[c.key])))),
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    formatCsv,
+    formatProfit,
+    formatTable,
+};
@@ -0,0 +1,358 @@
+const { Shift, TRAINED_POINTS } = require('./domain');
+const { staffingLevels } = require('./dayRoster');
+const { ScoringEngine } = require('./scoring');
+const { coveredSlots, skillDemand } = require('./skillDemand');
+
+// --- Rolling Horizon ---
+//
+// Plans one week at a time with the following week(s) in view, commits the
+// week and rolls on. Weekly overtime and training both reach past the day
+// that causes them, which a day-by-day solver cannot see.
+//
+// Every open day of the week gets a ladder of staffing levels, with whole-day
+// shifts:
+//   full     as many slots as possible get a trained employee (a maximum
+//            matching, scarcest skill first, each slot trying the cheapest
+//            employee first, priced against the hours they already work that
+//            week), so a newly trained skill never costs another skill its
+//            trained worker; the other slots get untrained ones, two per slot
+//   partial  full staffing minus the shift with the highest pay per slot-hour
+//            it fills (untrained workers fill half), then minus the next...
+//   none     no staff
+// The week's levels are chosen by coordinate ascent: each day in turn takes
+// the level that gives the week the most profit, for a few sweeps, so the
+// overtime that hours on one day cause later in the week is counted.
+//
+// Then apprentices: employees who join a skill on every day of the week it is
+// required, next to its trained workers, to learn it. Candidates are the
+// cheapest to train (hours to 1000 points with the best teacher, times their
+// salary) who can finish within the window. Each is kept if it raises the
+// profit of the week plus the look-ahead, where the look-ahead days are
+// rolled out greedily: each day takes the level of its ladder with the best
+// profit of its own, built from the simulated state, and the apprentices keep
+// learning. So a trainee's pay this week is weighed against the demand and
+// vacations of the look-ahead. Skills trained by the end of the window also
+// earn a terminal value for the week after it (see trainingCredit). The
+// levels are chosen again with the apprentices, and apprentices not trained
+// by the end of the week stay apprentices in the next one.
+//
+// Training is only valued within the window, so this solver trains little
+// when learning is slow. On E_Year the fastest learner needs 71 hours to reach
+// 1000 points and the median pair 125, on days their skill is required only:
+// with a one-week look-ahead almost no candidate finishes inside the window,
+// and one that does has a week or two left to pay back its training. That run
+// gives -269,563, close to -277,147 without training, where the 4-week
+// default gives -246,667. Longer terminal credits or more candidates did not
+// help. trainingPlanner.js values training over the rest of the horizon
+// instead (-190,477 on E_Year); use plan.js for long instances.
+//
+// All simulation runs on the official scoring engine, from the employee
+// states (weekly hours, training points, trained skills) carried in. Only the
+// current week is kept; it is scored on the engine carrying the committed
+// schedule, whose states start the next window. Weeks are the scoring engine's.
+
+const DEFAULT_LOOKAHEAD = 4; // weeks
+const DEFAULT_SWEEPS = 2;
+const MAX_CANDIDATES = 4; // apprentices tried per week
+const TERMINAL_WEEKS = 1; // weeks after the window a newly trained skill is credited for
+
+/**
+ * @param {ScoringEngine} engine
+ * @returns {ScoringEngine} A new engine in the same state
+ */
+function cloneEngine(engine) {
+    const copy = new ScoringEngine(engine.instance, engine.rules);
+    for (const employee of engine.instance.employees) {
+        copy.loadState(employee.id, engine.readState(employee.id));
+    }
+    return copy;
+}
+
+/**
+ * @returns {number} Hours the employee has worked in the week of `dayId`
+ */
+function hoursThisWeek(engine, employeeId, dayId) {
+    const current = engine.weekHours.get(employeeId);
+    return current && current.week === engine.weekOf(dayId) ? current.hours : 0;
+}
+
+/**
+ * Staffing ladder of one open day, from full staffing down to no staff.
+ * @param {ScoringEngine} engine Carries the trained skills to build with
+ * @param {import('./domain').Day} day
+ * @param {Map<number, number>} weekHours employeeId -> hours already worked that week; updated
+ *     with the full staffing
+ * @returns {Shift[][]}
+ */
+function staffingLadder(engine, day, weekHours) {
+    const { instance } = engine;
+    const demand = skillDemand(day.requiredSkills);
+    const available = instance.employees.filter(e => !e.isOnVacation(day.id));
+    const cost = employee => {
+        const hoursBefore = weekHours.get(employee.id) || 0;
+        const baseHours = Math.min(day.duration, Math.max(0, employee.maxHoursPerWeek - hoursBefore));
+        const overtimeRate = instance.organization.overtimeRate(employee.salaryPerHour);
+        return baseHours * employee.salaryPerHour + (day.duration - baseHours) * overtimeRate;
+    };
+
+    const used = new Set();
+    const staffed = []; // {shift, unitCost}
+    const assign = (employee, skill) => {
+        const gain = engine.isTrained(employee.id, skill) ? 1 : 0.5;
+        staffed.push({ shift: new Shift(employee.id, day.start, day.end, skill), unitCost: cost(employee) / gain });
+        used.add(employee.id);
+    };
+    const cheapest = candidates => candidates.sort((a, b) => cost(a) - cost(b))[0];
+
+    // Trained workers: as many slots as possible (augmenting paths), each
+    // trying the cheapest employee first
+    const trained = skill => available.filter(e => engine.isTrained(e.id, skill)).sort((a, b) => cost(a) - cost(b));
+    const order = [...demand.keys()].sort((a, b) => trained(a).length - trained(b).length);
+    const slotOf = new Map(); // employee -> skill of the slot they fill
+    const fill = (skill, visited) => trained(skill).some(employee => {
+        if (visited.has(employee)) return false;
+        visited.add(employee);
+        if (slotOf.has(employee) && !fill(slotOf.get(employee), visited)) return false;
+        slotOf.set(employee, skill);
+        return true;
+    });
+    for (const skill of order) {
+        for (let slot = 0; slot < demand.get(skill); slot++) fill(skill, new Set());
+    }
+    const trainedOn = new Map([...demand.keys()].map(skill => [skill, 0]));
+    slotOf.forEach((skill, employee) => {
+        assign(employee, skill);
+        trainedOn.set(skill, trainedOn.get(skill) + 1);
+    });
+    for (const [skill, slots] of demand) {
+        let untrained = 0;
+        while (coveredSlots(slots, trainedOn.get(skill), untrained) < slots) {
+            const employee = cheapest(available.filter(e => !used.has(e.id)));
+            if (!employee) break;
+            assign(employee, skill);
+            untrained++;
+        }
+    }
+    for (const employee of used) {
+        weekHours.set(employee, (weekHours.get(employee) || 0) + day.duration);
+    }
+
+    const dropOrder = [...staffed].sort((a, b) => b.unitCost - a.unitCost).map(entry => entry.shift);
+    const full = staffed.map(entry => entry.shift);
+    return staffingLevels(full, dropOrder);
+}
+
+/**
+ * A day's shifts plus a whole-day shift for every learner who is free that
+ * day and not trained yet.
+ * @param {{employeeId: number, skill: string}[]} learners
+ * @returns {Shift[]}
+ */
+function withLearners(engine, day, shifts, learners) {
+    const busy = new Set(shifts.map(s => s.employeeId));
+    const added = [];
+    for (const { employeeId, skill } of learners) {
+        if (busy.has(employeeId) || !day.requiredSkills.includes(skill) || engine.isTrained(employeeId, skill)
+            || engine.instance.getEmployee(employeeId).isOnVacation(day.id)) continue;
+        busy.add(employeeId);
+        added.push(new Shift(employeeId, day.start, day.end, skill));
+    }
+    return [...shifts, ...added];
+}
+
+/**
+ * Profit of days staffed greedily, each at the level with the best profit of
+ * its own, with the apprentices kept learning. Advances the engine.
+ * @returns {number}
+ */
+function rollout(engine, days, apprentices) {
+    let profit = 0;
+    const weekHours = new Map();
+    for (const day of days) {
+        weekHours.clear();
+        engine.instance.employees.forEach(e => weekHours.set(e.id, hoursThisWeek(engine, e.id, day.id)));
+        let best = null;
+        for (const level of staffingLadder(engine, day, weekHours)) {
+            const shifts = withLearners(engine, day, level, apprentices);
+            const dayProfit = cloneEngine(engine).scoreDay(day, shifts).profit;
+            if (!best || dayProfit > best.profit) best = { shifts, profit: dayProfit };
+        }
+        profit += engine.scoreDay(day, best.shifts).profit;
+    }
+    return profit;
+}
+
+/**
+ * Terminal value of the skills trained within a window: on the days after it
+ * where the skill is short of other trained workers, a trained employee fills
+ * a slot alone instead of with an untrained partner, which saves the
+ * partner's day (priced at the employee's own salary).
+ * @param {ScoringEngine} start Engine at the start of the window
+ * @param {ScoringEngine} end Engine at the end of the window
+ * @param {import('./domain').Day[]} tail Open days after the window
+ * @returns {number}
+ */
+function trainingCredit(start, end, tail) {
+    let credit = 0;
+    for (const employee of start.instance.employees) {
+        for (const skill of end.trainedSkills.get(employee.id)) {
+            if (start.isTrained(employee.id, skill)) continue;
+            for (const day of tail) {
+                const slots = skillDemand(day.requiredSkills).get(skill);
+                if (!slots || employee.isOnVacation(day.id)) continue;
+                const others = start.instance.employees.filter(e => e !== employee && !e.isOnVacation(day.id)
+                    && end.isTrained(e.id, skill)).length;
+                if (others < slots) credit += day.duration * employee.salaryPerHour;
+            }
+        }
+    }
+    return credit;
+}
+
+/**
+ * Plans the open days of one week (see the header).
+ * @param {ScoringEngine} engine Carries the committed schedule; not modified
+ * @param {import('./domain').Day[]} days Open days of the week, in order
+ * @param {import('./domain').Day[]} lookahead Open days after the week, in order
+ * @param {import('./domain').Day[]} tail Open days after the look-ahead, for the terminal value
+ * @param {number} sweeps
+ * @param {{employeeId: number, skill: string}[]} ongoing Apprentices of earlier weeks not trained yet
+ * @returns {{shifts: Shift[][], apprentices: {employeeId: number, skill: string}[]}} Shifts per day, and
+ *     the apprentices of the week, ongoing ones included
+ */
+function planWeek(engine, days, lookahead, tail, sweeps, ongoing) {
+    const { instance } = engine;
+    const weekHours = new Map(instance.employees.map(e => [e.id, days.length > 0 ? hoursThisWeek(engine, e.id, days[0].id) : 0]));
+    const ladders = days.map(day => staffingLadder(engine, day, weekHours));
+    const choice = days.map(() => 0);
+    let apprentices = ongoing;
+
+    // Profit of the week, plus the rolled out look-ahead and the terminal
+    // value if asked
+    const value = (levels, learners, withLookahead) => {
+        const simulation = cloneEngine(engine);
+        let profit = 0;
+        days.forEach((day, i) => {
+            profit += simulation.scoreDay(day, withLearners(simulation, day, ladders[i][levels[i]], learners)).profit;
+        });
+        if (!withLookahead) return profit;
+        return profit + rollout(simulation, lookahead, learners) + trainingCredit(engine, simulation, tail);
+    };
+    const chooseLevels = () => {
+        for (let sweep = 0; sweep < sweeps; sweep++) {
+            let changed = false;
+            for (let i = 0; i < days.length; i++) {
+                let best = { level: choice[i], profit: -Infinity };
+                for (let level = 0; level < ladders[i].length; level++) {
+                    const profit = value(choice.map((c, j) => (j === i ? level : c)), apprentices, false);
+                    if (profit > best.profit) best = { level, profit };
+                }
+                if (best.level !== choice[i]) changed = true;
+                choice[i] = best.level;
+            }
+            if (!changed) break;
+        }
+    };
+
+    chooseLevels();
+    let current = value(choice, apprentices, true);
+    const learning = new Set(ongoing.map(a => a.employeeId));
+    for (const candidate of apprenticeCandidates(engine, [...days, ...lookahead]).filter(c => !learning.has(c.employeeId))) {
+        const profit = value(choice, [...apprentices, candidate], true);
+        if (profit > current) {
+            apprentices = [...apprentices, candidate];
+            current = profit;
+        }
+    }
+    if (apprentices.length > ongoing.length) chooseLevels();
+
+    const simulation = cloneEngine(engine);
+    const shifts = days.map((day, i) => {
+        const dayShifts = withLearners(simulation, day, ladders[i][choice[i]], apprentices);
+        simulation.scoreDay(day, dayShifts);
+        return dayShifts;
+    });
+    return { shifts, apprentices };
+}
+
+/**
+ * Employees worth trying as apprentices in a window, cheapest training first:
+ * one skill each, which they can learn on the window's days.
+ * @returns {{employeeId: number, skill: string}[]}
+ */
+function apprenticeCandidates(engine, days) {
+    const { instance } = engine;
+    const skills = new Set(days.flatMap(day => day.requiredSkills));
+    const candidates = [];
+    for (const employee of instance.employees) {
+        let best = null;
+        for (const skill of skills) {
+            if (engine.isTrained(employee.id, skill)) continue;
+            const teaching = Math.max(1, ...instance.employees
+                .filter(e => engine.isTrained(e.id, skill))
+                .map(e => e.teachingRate));
+            const points = TRAINED_POINTS - (engine.skillPoints.get(employee.id).get(skill) || 0);
+            const hoursNeeded = points / (employee.learningRate * teaching);
+            const hoursOpen = days
+                .filter(day => day.requiredSkills.includes(skill) && !employee.isOnVacation(day.id))
+                .reduce((sum, day) => sum + day.duration, 0);
+            if (employee.learningRate <= 0 || hoursNeeded > hoursOpen) continue;
+            const cost = hoursNeeded * employee.salaryPerHour;
+            if (!best || cost < best.cost) best = { employeeId: employee.id, skill, cost };
+        }
+        if (best) candidates.push(best);
+    }
+    return candidates
+        .sort((a, b) => a.cost - b.cost)
+        .slice(0, MAX_CANDIDATES)
+        .map(({ employeeId, skill }) => ({ employeeId, skill }));
+}
+
+/**
+ * Builds a schedule week by week.
+ * @param {import('./domain').Instance} instance
+ * @param {{lookahead?: number, sweeps?: number, onWeek?: Function}} [options]
+ *     lookahead: weeks planned after the current one; onWeek(week, profit, apprentices) after each
+ *     committed week
+ * @returns {{schedule: Map<number, Shift[]>, total: number}}
+ */
+function rollingHorizon(instance, { lookahead = DEFAULT_LOOKAHEAD, sweeps = DEFAULT_SWEEPS, onWeek } = {}) {
+    if (!(lookahead >= 0) || !(sweeps >= 1)) {
+        throw new Error(`Look-ahead must be at least 0 weeks and sweeps at least 1, got ${lookahead} and ${sweeps}`);
+    }
+    const engine = new ScoringEngine(instance);
+    const weeks = new Map(); // week -> days in id order
+    for (const day of [...instance.days].sort((a, b) => a.id - b.id)) {
+        const week = engine.weekOf(day.id);
+        if (!weeks.has(week)) weeks.set(week, []);
+        weeks.get(week).push(day);
+    }
+    const weekList = [...weeks.entries()];
+    const isOpen = day => !day.isClosed && day.requiredSkills.length > 0;
+
+    const schedule = new Map();
+    let total = 0;
+    let training = [];
+    weekList.forEach(([week, days], index) => {
+        const open = days.filter(isOpen);
+        const after = index + 1 + lookahead;
+        const ahead = weekList.slice(index + 1, after).flatMap(([, weekDays]) => weekDays).filter(isOpen);
+        const tail = weekList.slice(after, after + TERMINAL_WEEKS).flatMap(([, weekDays]) => weekDays).filter(isOpen);
+        const plan = planWeek(engine, open, ahead, tail, sweeps, training);
+        let profit = 0;
+        for (const day of days) {
+            const position = open.indexOf(day);
+            const shifts = position < 0 ? [] : plan.shifts[position];
+            schedule.set(day.id, shifts);
+            profit += engine.scoreDay(day, shifts).profit;
+        }
+        total += profit;
+        training = plan.apprentices.filter(a => !engine.isTrained(a.employeeId, a.skill));
+        if (onWeek) onWeek(week, profit, plan.apprentices);
+    });
+    return { schedule, total };
+}
+
+module.exports = {
+    rollingHorizon,
+};
@@ -0,0 +1,75 @@
+const { canonicalizeDay } = require('./canonicalSchedule');
+
+// --- Schedule Diff ---
+//
+// Compares two schedules day by day and employee by employee. Both sides are
+// put in canonical form first, so token order and split-vs-merged tokens do not
+// show up as changes. An employee whose shifts differ is "added" when they only
+// work in the new schedule, "removed" when they only work in the old one and
+// "changed" otherwise.
+
+/**
+ * @typedef {object} EmployeeChange
+ * @property {number} employeeId
+ * @property {'added'|'removed'|'changed'} kind
+ * @property {import('./domain').Shift[]} before Shifts only in the old schedule
+ * @property {import('./domain').Shift[]} after Shifts only in the new schedule
+ */
+
+function groupByEmployee(shifts) {
+    const groups = new Map();
+    for (const shift of shifts) {
+        if (!groups.has(shift.employeeId)) groups.set(shift.employeeId, []);
+        groups.get(shift.employeeId).push(shift);
+    }
+    return groups;
+}
+
+/**
+ * @param {import('./domain').Shift[]} before
+ * @param {import('./domain').Shift[]} after
+ * @returns {EmployeeChange[]} Sorted by employee id; empty when the days match
+ */
+function diffDay(before, after) {
+    const oldByEmployee = groupByEmployee(canonicalizeDay(before).shifts);
+    const newByEmployee = groupByEmployee(canonicalizeDay(after).shifts);
+    const employeeIds = [...new Set([...oldByEmployee.keys(), ...newByEmployee.keys()])].sort((a, b) => a - b);
+
+    const changes = [];
+    for (const employeeId of employeeIds) {
+        const oldShifts = oldByEmployee.get(employeeId) || [];
+        const newShifts = newByEmployee.get(employeeId) || [];
+        const oldTokens = new Set(oldShifts.map(String));
+        const newTokens = new Set(newShifts.map(String));
+        const removed = oldShifts.filter(s => !newTokens.has(String(s)));
+        const added = newShifts.filter(s => !oldTokens.has(String(s)));
+        if (removed.length === 0 && added.length === 0) {
+            continue;
+        }
+        const kind = oldShifts.length === 0 ? 'added' : newShifts.length === 0 ? 'removed' : 'changed';
+        changes.push({ employeeId, kind, before: removed, after: added });
+    }
+    return changes;
+}
+
+/**
+ * @param {Map<number, import('./domain').Shift[]>} before
+ * @param {Map<number, import('./domain').Shift[]>} after
+ * @returns {Map<number, EmployeeChange[]>} Only days with changes, in day order
+ */
+function diffSchedules(before, after) {
+    const dayIds = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+    const result = new Map();
+    for (const dayId of dayIds) {
+        const changes = diffDay(before.get(dayId) || [], after.get(dayId) || []);
+        if (changes.length > 0) {
+            result.set(dayId, changes);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    diffDay,
+    diffSchedules,
+};
@@ -0,0 +1,428 @@
+const { TRAINED_POINTS } = require('./domain');
+const { coveredSlots, skillDemand } = require('./skillDemand');
+
+// --- Scoring Engine ---
+//
+// Simulates a schedule day by day and computes capacity, payroll, training and
+// profit. The scripts in this repo grew their own scorers, which disagree on a
+// few rules. Each of those choices is a named setting here, and a rule profile
+// fixes all of them. The "official" profile is what PlanningValidator scores
+// with.
+//
+// demand (how repeated required skills are counted):
+//   'slots'           "Baker,Baker,Baker" is three slots that need three
+//                     workers; coverage is computed per slot (see
+//                     skillDemand.js): trained workers fill a slot each,
+//                     untrained workers half a slot each
+//   'perEntry'        every entry is scored on its own by the coverage rule
+//                     below, from all workers on the skill, so one trained
+//                     Baker covers all three entries
+// coverage (of one required skill entry during one hour, 'perEntry' only):
+//   'pairs'           a trained worker covers it fully, one untrained worker
+//                     half, two or more untrained workers fully
+//   'halfEachCapped'  trained workers count 1 and untrained 0.5, summed and
+//                     capped at 1. For whole worker counts this gives the same
+//                     numbers as 'pairs'; it is kept so sonnet.js's formula is
+//                     written down.
+// training (when learners gain points and become trained):
+//   'endOfDay'        points are added after the day; a trainee who reaches
+//                     1000 points counts as trained from the next day on
+//   'nextHour'        points are added every hour; a trainee who reaches 1000
+//                     points counts as trained from their next hour of work
+//   'none'            only initial skills count as trained
+// teaching (which coworkers raise a learner's gain):
+//   'requiredSkills'  trained coworkers on the same skill, but only for skills
+//                     the day requires
+//   'anySkill'        trained coworkers on the same skill, whatever the skill
+// weekStart (which days share a max_hours_per_week budget):
+//   'zeroBased'       week = floor(dayId / 7): days 0-6, 7-13, ...
+//   'oneBased'        week = floor((dayId - 1) / 7): days 1-7, 8-14, ...
+//
+// Per hour of work, a learner gains learning_rate x the highest teaching_rate
+// among the teachers on that skill that hour, or learning_rate alone without a
+// teacher (or when every teacher has teaching_rate 0).
+
+const RULE_PROFILES = {
+    official: {
+        description: 'Competition rules as PlanningValidator (rep_validator.js) scores them: a repeated required skill is one slot per entry',
+        demand: 'slots',
+        coverage: 'pairs',
+        training: 'endOfDay',
+        teaching: 'requiredSkills',
+        weekStart: 'zeroBased',
+    },
+    'per-entry': {
+        description: 'PlanningValidator before slot demand: each required entry scored on its own, to reproduce older scores',
+        demand: 'perEntry',
+        coverage: 'pairs',
+        training: 'endOfDay',
+        teaching: 'requiredSkills',
+        weekStart: 'zeroBased',
+    },
+    'next-hour-training': {
+        description: 'CodeBashSolver.calculateScore (rep_gemini.js): hourly promotion, EmployeeState weeks',
+        demand: 'perEntry',
+        coverage: 'pairs',
+        training: 'nextHour',
+        teaching: 'anySkill',
+        weekStart: 'oneBased',
+    },
+    'static-skills': {
+        description: 'calculateScore in sonnet.js: capped half coverage, nobody learns',
+        demand: 'perEntry',
+        coverage: 'halfEachCapped',
+        training: 'none',
+        teaching: 'requiredSkills',
+        weekStart: 'zeroBased',
+    },
+};
+
+const RULE_OPTIONS = {
+    demand: ['slots', 'perEntry'],
+    coverage: ['pairs', 'halfEachCapped'],
+    training: ['endOfDay', 'nextHour', 'none'],
+    teaching: ['requiredSkills', 'anySkill'],
+    weekStart: ['zeroBased', 'oneBased'],
+};
+
+/**
+ * Looks up a profile by name, or completes a partial rule object with the
+ * official rules.
+ * @param {string|object} profile
+ * @returns {{demand: string, coverage: string, training: string, teaching: string, weekStart: string}}
+ * @throws {Error} for unknown profile names or rule values
+ */
+function resolveProfile(profile = 'official') {
+    if (typeof profile === 'string') {
+        if (!RULE_PROFILES[profile]) {
+            throw new Error(`Unknown rule profile '${profile}'; known profiles: ${Object.keys(RULE_PROFILES).join(', ')}`);
+        }
+        return RULE_PROFILES[profile];
+    }
+    const rules = { ...RULE_PROFILES.official, description: 'custom', ...profile };
+    for (const [rule, options] of Object.entries(RULE_OPTIONS)) {
+        if (!options.includes(rules[rule])) {
+            throw new Error(`Rule ${rule} must be one of ${options.join(', ')}; found '${rules[rule]}'`);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Pay for one shift.
+ * @typedef {object} ShiftPay
+ * @property {number} employeeId
+ * @property {number} baseHours
+ * @property {number} overtimeHours
+ * @property {number} baseCost
+ * @property {number} overtimeCost
+ */
+
+/**
+ * Figures for one day.
+ * @typedef {object} DayScore
+ * @property {number} dayId
+ * @property {number} revenue Daily revenue at full capacity
+ * @property {number} capacity
+ * @property {number} capacitySq
+ * @property {number} earned revenue x capacity^2
+ * @property {number} basePayroll
+ * @property {number} overtimePayroll
+ * @property {number} payroll
+ * @property {number} fixedCost
+ * @property {number} profit
+ * @property {ShiftPay[]} pay One entry per shift, in shift order
+ * @property {{employeeId: number, skill: string}[]} trained Skills learned this day
+ */
+
+/**
+ * Simulation state of one employee between days. Never modified once created.
+ * @typedef {object} EmployeeState
+ * @property {number|null} week Week of the last worked day (null before any)
+ * @property {number} hours Hours worked in that week
+ * @property {Map<string, number>} points skill -> training points
+ * @property {Set<string>} trained
+ */
+
+/**
+ * Runs the simulation. Days must be scored in order; the engine carries
+ * weekly hours and training points from one day to the next.
+ * Shifts of unknown employees are ignored; reporting them is up to the caller.
+ */
+class ScoringEngine {
+    /**
+     * @param {import('./domain').Instance} instance
+     * @param {string|object} [profile] Profile name or partial rules
+     */
+    constructor(instance, profile = 'official') {
+        this.instance = instance;
+        this.rules = resolveProfile(profile);
+        /** @type {Map<number, Map<string, number>>} employee -> skill -> points */
+        this.skillPoints = new Map();
+        /** @type {Map<number, Set<string>>} */
+        this.trainedSkills = new Map();
+        /** @type {Map<number, {week: number, hours: number}>} */
+        this.weekHours = new Map();
+        for (const employee of instance.employees) {
+            const points = new Map();
+            employee.initialSkills.forEach(skill => points.set(skill, TRAINED_POINTS));
+            this.skillPoints.set(employee.id, points);
+            this.trainedSkills.set(employee.id, new Set(employee.initialSkills));
+        }
+    }
+
+    /**
+     * @param {number} employeeId
+     * @param {string} skill
+     * @returns {boolean}
+     */
+    isTrained(employeeId, skill) {
+        return this.trainedSkills.get(employeeId).has(skill);
+    }
+
+    /**
+     * Copies out the state an employee carries into the next day.
+     * @param {number} employeeId
+     * @returns {EmployeeState}
+     */
+    readState(employeeId) {
+        const week = this.weekHours.get(employeeId);
+        return {
+            week: week ? week.week : null,
+            hours: week ? week.hours : 0,
+            points: new Map(this.skillPoints.get(employeeId)),
+            trained: new Set(this.trainedSkills.get(employeeId)),
+        };
+    }
+
+    /**
+     * Puts an employee back in a state read with readState.
+     * @param {number} employeeId
+     * @param {EmployeeState} state
+     */
+    loadState(employeeId, state) {
+        if (state.week === null) {
+            this.weekHours.delete(employeeId);
+        } else {
+            this.weekHours.set(employeeId, { week: state.week, hours: state.hours });
+        }
+        this.skillPoints.set(employeeId, new Map(state.points));
+        this.trainedSkills.set(employeeId, new Set(state.trained));
+    }
+
+    /**
+     * @param {number} dayId
+     * @returns {number}
+     */
+    weekOf(dayId) {
+        return this.rules.weekStart === 'oneBased' ? Math.floor((dayId - 1) / 7) : Math.floor(dayId / 7);
+    }
+
+    /**
+     * Scores one day and advances the simulation past it.
+     * @param {import('./domain').Day} day
+     * @param {import('./domain').Shift[]} shifts
+     * @returns {DayScore}
+     */
+    scoreDay(day, shifts) {
+        const fixedCost = this.instance.organization.fixedCost;
+        const result = {
+            dayId: day.id, revenue: day.revenue, capacity: 0, capacitySq: 0, earned: 0,
+            basePayroll: 0, overtimePayroll: 0, payroll: 0, fixedCost, profit: -fixedCost,
+            pay: [], trained: [],
+        };
+        if (day.isClosed) {
+            return result;
+        }
+        const known = shifts.filter(shift => this.instance.getEmployee(shift.employeeId));
+
+        for (const shift of known) {
+            const pay = this.payShift(day.id, shift);
+            result.pay.push(pay);
+            result.basePayroll += pay.baseCost;
+            result.overtimePayroll += pay.overtimeCost;
+        }
+
+        const achieved = this.rules.training === 'nextHour'
+            ? this.coverAndTrainHourly(day, known, result.trained)
+            : this.coverAndTrainDaily(day, known, result.trained);
+
+        const totalNeed = day.totalSkillHours();
+        result.capacity = totalNeed > 0 ? achieved / totalNeed : 0;
+        result.capacitySq = result.capacity ** 2;
+        result.earned = day.revenue * result.capacitySq;
+        result.payroll = result.basePayroll + result.overtimePayroll;
+        result.profit = result.earned - result.payroll - fixedCost;
+        return result;
+    }
+
+    /**
+     * Splits a shift into base and overtime hours against the weekly budget.
+     * @returns {ShiftPay}
+     */
+    payShift(dayId, shift) {
+        const employee = this.instance.getEmployee(shift.employeeId);
+        const week = this.weekOf(dayId);
+        const current = this.weekHours.get(employee.id);
+        const hoursBefore = current && current.week === week ? current.hours : 0;
+
+        const baseHours = Math.min(shift.duration, Math.max(0, employee.maxHoursPerWeek - hoursBefore));
+        const overtimeHours = shift.duration - baseHours;
+        this.weekHours.set(employee.id, { week, hours: hoursBefore + shift.duration });
+
+        return {
+            employeeId: employee.id,
+            baseHours,
+            overtimeHours,
+            baseCost: baseHours * employee.salaryPerHour,
+            overtimeCost: overtimeHours * this.instance.organization.overtimeRate(employee.salaryPerHour),
+        };
+    }
+
+    /**
+     * Coverage of one skill entry for one hour, given who is working it.
+     */
+    coverage(trainedCount, untrainedCount) {
+        if (this.rules.coverage === 'halfEachCapped') {
+            return Math.min(1, trainedCount + 0.5 * untrainedCount);
+        }
+        if (trainedCount > 0 || untrainedCount > 1) {
+            return 1;
+        }
+        return untrainedCount === 1 ? 0.5 : 0;
+    }
+
+    /**
+     * Covered skill-hours of one hour, using the current trained state.
+     * @returns {{achieved: number, teachers: Map<string, number>}} teachers maps
+     *     skill -> highest teaching rate among trained workers on it
+     */
+    scoreHour(day, activeShifts) {
+        const counts = new Map(); // skill -> [trained, untrained]
+        const teachers = new Map();
+        for (const shift of activeShifts) {
+            const trained = this.isTrained(shift.employeeId, shift.skill);
+            const count = counts.get(shift.skill) || [0, 0];
+            count[trained ? 0 : 1]++;
+            counts.set(shift.skill, count);
+            if (trained && (this.rules.teaching === 'anySkill' || day.requiredSkills.includes(shift.skill))) {
+                const rate = this.instance.getEmployee(shift.employeeId).teachingRate;
+                teachers.set(shift.skill, Math.max(teachers.get(shift.skill) || 0, rate));
+            }
+        }
+
+        let achieved = 0;
+        if (this.rules.demand === 'slots') {
+            skillDemand(day.requiredSkills).forEach((slots, skill) => {
+                const [trainedCount, untrainedCount] = counts.get(skill) || [0, 0];
+                achieved += coveredSlots(slots, trainedCount, untrainedCount);
+            });
+            return { achieved, teachers };
+        }
+        for (const skill of day.requiredSkills) {
+            const [trainedCount, untrainedCount] = counts.get(skill) || [0, 0];
+            achieved += this.coverage(trainedCount, untrainedCount);
+        }
+        return { achieved, teachers };
+    }
+
+    /**
+     * Points one learner hour earns, given the teachers present.
+     */
+    gain(employeeId, skill, teachers) {
+        const learningRate = this.instance.getEmployee(employeeId).learningRate;
+        const teacherRate = teachers.get(skill) || 0;
+        return teacherRate > 0 ? learningRate * teacherRate : learningRate;
+    }
+
+    addPoints(employeeId, skill, points, trainedLog) {
+        const skillPoints = this.skillPoints.get(employeeId);
+        skillPoints.set(skill, (skillPoints.get(skill) || 0) + points);
+        if (skillPoints.get(skill) >= TRAINED_POINTS) {
+            this.trainedSkills.get(employeeId).add(skill);
+            trainedLog.push({ employeeId, skill });
+        }
+    }
+
+    /**
+     * 'endOfDay' and 'none' training: coverage uses the trained state from the
+     * start of the day; gains are applied once the day is over.
+     * @returns {number} Covered skill-hours
+     */
+    coverAndTrainDaily(day, shifts, trainedLog) {
+        let achieved = 0;
+        const teachersByHour = new Map();
+        for (let h = day.start; h < day.end; h++) {
+            const hour = this.scoreHour(day, shifts.filter(s => s.start <= h && h < s.end));
+            achieved += hour.achieved;
+            teachersByHour.set(h, hour.teachers);
+        }
+        if (this.rules.training === 'none') {
+            return achieved;
+        }
+
+        // Sum per employee and skill first: whether a learner is trained is
+        // decided by the state at the start of the day
+        const gains = new Map(); // "employeeId skill" -> {employeeId, skill, points}
+        for (const shift of shifts) {
+            if (this.isTrained(shift.employeeId, shift.skill)) {
+                continue;
+            }
+            const key = `${shift.employeeId} ${shift.skill}`;
+            const entry = gains.get(key) || { employeeId: shift.employeeId, skill: shift.skill, points: 0 };
+            for (let h = shift.start; h < shift.end; h++) {
+                entry.points += this.gain(shift.employeeId, shift.skill, teachersByHour.get(h) || new Map());
+            }
+            gains.set(key, entry);
+        }
+        for (const { employeeId, skill, points } of gains.values()) {
+            this.addPoints(employeeId, skill, points, trainedLog);
+        }
+        return achieved;
+    }
+
+    /**
+     * 'nextHour' training: gains are applied after every hour, so a trainee who
+     * reaches the threshold covers and teaches from the following hour.
+     * @returns {number} Covered skill-hours
+     */
+    coverAndTrainHourly(day, shifts, trainedLog) {
+        let achieved = 0;
+        for (let h = day.start; h < day.end; h++) {
+            const active = shifts.filter(s => s.start <= h && h < s.end);
+            const hour = this.scoreHour(day, active);
+            achieved += hour.achieved;
+
+            const learners = active.filter(s => !this.isTrained(s.employeeId, s.skill));
+            const hourGains = learners.map(s => [s, this.gain(s.employeeId, s.skill, hour.teachers)]);
+            for (const [shift, points] of hourGains) {
+                if (!this.isTrained(shift.employeeId, shift.skill)) {
+                    this.addPoints(shift.employeeId, shift.skill, points, trainedLog);
+                }
+            }
+        }
+        return achieved;
+    }
+}
+
+/**
+ * Scores a whole schedule.
+ * @param {import('./domain').Instance} instance
+ * @param {Map<number, import('./domain').Shift[]>} schedule
+ * @param {string|object} [profile]
+ * @returns {{total: number, days: DayScore[], engine: ScoringEngine}}
+ */
+function scoreSchedule(instance, schedule, profile = 'official') {
+    const engine = new ScoringEngine(instance, profile);
+    const days = [...instance.days]
+        .sort((a, b) => a.id - b.id)
+        .map(day => engine.scoreDay(day, schedule.get(day.id) || []));
+    return { total: days.reduce((sum, d) => sum + d.profit, 0), days, engine };
+}
+
+module.exports = {
+    RULE_PROFILES,
+    ScoringEngine,
+    resolveProfile,
+    scoreSchedule,
+};
@@ -0,0 +1,72 @@
+// --- Shift Rules ---
+//
+// The hard rules every shift of a day must satisfy. PlanningValidator reports
+// them with its own messages; solvers that edit schedules use the same checks
+// to keep their moves valid.
+//
+// Codes (as in PlanningValidator):
+//   CLOSED_DAY_SHIFT   a shift on a closed day
+//   UNKNOWN_EMPLOYEE   the employee id is not in the instance
+//   VACATION_CONFLICT  the employee is on vacation that day
+//   OUTSIDE_OPENING    the shift starts before opening or ends after closing
+//   OVERLAP            the shift overlaps an earlier shift of the same employee
+
+/**
+ * @typedef {object} ShiftViolation
+ * @property {string} code
+ * @property {import('./domain').Shift} shift
+ */
+
+/**
+ * Whether two shifts share at least one hour.
+ * @param {{start: number, end: number}} a
+ * @param {{start: number, end: number}} b
+ * @returns {boolean}
+ */
+function shiftsOverlap(a, b) {
+    return Math.max(a.start, b.start) < Math.min(a.end, b.end);
+}
+
+/**
+ * Checks one day's shifts. A shift of an unknown employee gets no further
+ * checks, and an overlapping shift is not compared against later ones.
+ * @param {import('./domain').Instance} instance
+ * @param {import('./domain').Day} day
+ * @param {import('./domain').Shift[]} shifts
+ * @returns {ShiftViolation[]} In shift order
+ */
+function findShiftViolations(instance, day, shifts) {
+    const violations = [];
+    if (day.isClosed) {
+        return shifts.map(shift => ({ code: 'CLOSED_DAY_SHIFT', shift }));
+    }
+
+    const accepted = new Map(); // employeeId -> shifts without overlap so far
+    for (const shift of shifts) {
+        const employee = instance.getEmployee(shift.employeeId);
+        if (!employee) {
+            violations.push({ code: 'UNKNOWN_EMPLOYEE', shift });
+            continue;
+        }
+        if (employee.isOnVacation(day.id)) {
+            violations.push({ code: 'VACATION_CONFLICT', shift });
+        }
+        if (shift.start < day.start || shift.end > day.end) {
+            violations.push({ code: 'OUTSIDE_OPENING', shift });
+        }
+
+        const own = accepted.get(shift.employeeId) || [];
+        if (own.some(other => shiftsOverlap(shift, other))) {
+            violations.push({ code: 'OVERLAP', shift });
+        } else {
+            own.push(shift);
+            accepted.set(shift.employeeId, own);
+        }
+    }
+    return violations;
+}
+
+module.exports = {
+    findShiftViolations,
+    shiftsOverlap,
+};
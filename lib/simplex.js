@@ -0,0 +1,163 @@
+// --- Linear Programming ---
+//
+// A small dense two-phase simplex solver, enough for the bounding models of
+// the exact solver (a few hundred variables and rows). Variables are
+// non-negative; every other bound is written as a constraint. Dantzig's rule
+// picks the entering column, switching to Bland's rule after a run of
+// degenerate pivots so the method cannot cycle.
+
+const EPSILON = 1e-9;
+const DEGENERATE_PIVOTS_BEFORE_BLAND = 50;
+
+/**
+ * @typedef {object} Constraint
+ * @property {[number, number][]} terms [variable index, coefficient] pairs
+ * @property {'<='|'>='|'='} type
+ * @property {number} rhs
+ */
+
+/**
+ * @typedef {object} LinearProgram
+ * @property {number} variables Number of variables
+ * @property {[number, number][]} objective [variable index, coefficient] pairs, maximized
+ * @property {Constraint[]} constraints
+ */
+
+/**
+ * @typedef {object} LinearProgramResult
+ * @property {'optimal'|'infeasible'|'unbounded'} status
+ * @property {number} value Objective value (NaN unless optimal)
+ * @property {number[]} x Variable values (empty unless optimal)
+ */
+
+class Tableau {
+    constructor(rows, columns) {
+        this.rows = rows.map(row => Float64Array.from(row));
+        this.columns = columns;
+        this.basis = [];
+    }
+
+    pivot(row, column, objectiveRows) {
+        const pivotRow = this.rows[row];
+        const factor = pivotRow[column];
+        for (let j = 0; j <= this.columns; j++) pivotRow[j] /= factor;
+        for (const other of [...this.rows, ...objectiveRows]) {
+            const ratio = other[column];
+            if (other === pivotRow || Math.abs(ratio) < EPSILON) continue;
+            for (let j = 0; j <= this.columns; j++) other[j] -= ratio * pivotRow[j];
+        }
+        this.basis[row] = column;
+    }
+
+    /**
+     * Maximizes the objective row (stored as z - c·x = 0, so negative
+     * entries can still improve). Other rows in `carried` are updated too.
+     * @returns {boolean} false when unbounded
+     */
+    optimize(objective, allowed, carried = []) {
+        let degenerate = 0;
+        for (;;) {
+            const bland = degenerate >= DEGENERATE_PIVOTS_BEFORE_BLAND;
+            let column = -1;
+            for (let j = 0; j < this.columns; j++) {
+                if (!allowed[j] || objective[j] >= -EPSILON) continue;
+                if (column === -1 || (!bland && objective[j] < objective[column])) column = j;
+                if (bland) break;
+            }
+            if (column === -1) return true;
+
+            let row = -1;
+            let best = Infinity;
+            for (let i = 0; i < this.rows.length; i++) {
+                const a = this.rows[i][column];
+                if (a <= EPSILON) continue;
+                const ratio = this.rows[i][this.columns] / a;
+                if (ratio < best - EPSILON || (ratio < best + EPSILON && row !== -1 && this.basis[i] < this.basis[row])) {
+                    best = ratio;
+                    row = i;
+                }
+            }
+            if (row === -1) return false;
+
+            degenerate = best < EPSILON ? degenerate + 1 : 0;
+            this.pivot(row, column, [objective, ...carried]);
+        }
+    }
+}
+
+/**
+ * Solves a linear program with the two-phase simplex method.
+ * @param {LinearProgram} problem
+ * @returns {LinearProgramResult}
+ */
+function solveLinearProgram(problem) {
+    const n = problem.variables;
+    const constraints = problem.constraints.map(c => (c.rhs < 0
+        ? { terms: c.terms.map(([j, a]) => [j, -a]), type: c.type === '<=' ? '>=' : c.type === '>=' ? '<=' : '=', rhs: -c.rhs }
+        : c));
+
+    // Columns: variables, then one slack or surplus per inequality, then artificials
+    const slackCount = constraints.filter(c => c.type !== '=').length;
+    const artificialCount = constraints.filter(c => c.type !== '<=').length;
+    const columns = n + slackCount + artificialCount;
+    const rows = [];
+    const basis = [];
+    let slack = n;
+    let artificial = n + slackCount;
+    for (const c of constraints) {
+        const row = new Array(columns + 1).fill(0);
+        for (const [j, a] of c.terms) row[j] += a;
+        row[columns] = c.rhs;
+        if (c.type === '<=') {
+            row[slack] = 1;
+            basis.push(slack++);
+        } else {
+            if (c.type === '>=') row[slack++] = -1;
+            row[artificial] = 1;
+            basis.push(artificial++);
+        }
+        rows.push(row);
+    }
+    const tableau = new Tableau(rows, columns);
+    tableau.basis = basis;
+
+    const objective = new Float64Array(columns + 1);
+    for (const [j, a] of problem.objective) objective[j] -= a;
+
+    // Phase 1: drive the artificials to zero
+    const allowed = new Array(columns).fill(true);
+    if (artificialCount > 0) {
+        const phaseOne = new Float64Array(columns + 1);
+        for (let j = n + slackCount; j < columns; j++) phaseOne[j] = 1;
+        tableau.rows.forEach((row, i) => {
+            if (basis[i] >= n + slackCount) {
+                for (let j = 0; j <= columns; j++) phaseOne[j] -= row[j];
+            }
+        });
+        tableau.optimize(phaseOne, allowed, [objective]);
+        if (phaseOne[columns] < -1e-7) {
+            return { status: 'infeasible', value: NaN, x: [] };
+        }
+        for (let j = n + slackCount; j < columns; j++) allowed[j] = false;
+        // Pivot artificials still in the basis (at zero) out where possible
+        tableau.basis.forEach((column, i) => {
+            if (column < n + slackCount) return;
+            const entering = tableau.rows[i].findIndex((a, j) => j < n + slackCount && Math.abs(a) > EPSILON);
+            if (entering !== -1) tableau.pivot(i, entering, [objective]);
+        });
+    }
+
+    // Phase 2
+    if (!tableau.optimize(objective, allowed)) {
+        return { status: 'unbounded', value: NaN, x: [] };
+    }
+    const x = new Array(n).fill(0);
+    tableau.basis.forEach((column, i) => {
+        if (column < n) x[column] = tableau.rows[i][columns];
+    });
+    return { status: 'optimal', value: objective[columns], x };
+}
+
+module.exports = {
+    solveLinearProgram,
+};
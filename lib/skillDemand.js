@@ -0,0 +1,39 @@
+// --- Skill Demand ---
+//
+// A day lists one required-skills entry per slot, so "Baker,Baker,Baker" asks
+// for three Bakers every opening hour. Coverage is computed per slot: each
+// trained worker fills one slot, and untrained workers fill half a slot each
+// (two of them together fill one). Workers beyond the last slot add nothing.
+// For a single slot this is the "one trained, or two untrained" rule.
+//
+// The scoring engine and the greedy solvers share these helpers, so a
+// schedule is built against the same demand it is scored on.
+
+/**
+ * Number of slots per required skill.
+ * @param {string[]} requiredSkills One entry per slot, repeats included
+ * @returns {Map<string, number>} skill -> slots, in first-seen order
+ */
+function skillDemand(requiredSkills) {
+    const demand = new Map();
+    for (const skill of requiredSkills) {
+        demand.set(skill, (demand.get(skill) || 0) + 1);
+    }
+    return demand;
+}
+
+/**
+ * Covered slots of one skill during one hour.
+ * @param {number} slots Slots the day requires for the skill
+ * @param {number} trainedCount Trained workers on the skill that hour
+ * @param {number} untrainedCount Untrained workers on the skill that hour
+ * @returns {number} Between 0 and slots, in steps of 0.5
+ */
+function coveredSlots(slots, trainedCount, untrainedCount) {
+    return Math.min(slots, trainedCount + 0.5 * untrainedCount);
+}
+
+module.exports = {
+    skillDemand,
+    coveredSlots,
+};
@@ -0,0 +1,55 @@
+// --- Text Formatting ---
+//
+// Writes instances and schedules in the whitespace text format that the
+// parsers read. Output uses single spaces and `\n` line endings, without a
+// trailing newline.
+
+/**
+ * Formats an Instance in the input file format.
+ * @param {import('./domain').Instance} instance
+ * @returns {string}
+ */
+function formatInput(instance) {
+    const { organization, days, employees } = instance;
+    const csvOrUnderscore = values => (values.length > 0 ? values.join(',') : '_');
+
+    const lines = [
+        `${organization.overtimeMod} ${organization.fixedCost}`,
+        `${days.length}`,
+    ];
+    for (const day of days) {
+        lines.push(day.isClosed
+            ? `${day.id}`
+            : `${day.id} ${day.start} ${day.end} ${day.revenue} ${day.requiredSkills.join(',')}`);
+    }
+    for (const emp of employees) {
+        lines.push([
+            emp.id, emp.maxHoursPerWeek, emp.salaryPerHour, emp.learningRate, emp.teachingRate,
+            csvOrUnderscore([...emp.initialSkills]), csvOrUnderscore([...emp.vacationDays]),
+        ].join(' '));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Formats a schedule into the required output string: one line per day,
+ * `day_id token token ...` or `day_id _` when the day has no shifts.
+ * @param {Map<number, import('./domain').Shift[]>} schedule Days in output order
+ * @returns {string}
+ */
+function formatOutput(schedule) {
+    const outputLines = [];
+    for (const [dayId, shifts] of schedule) {
+        if (shifts.length === 0) {
+            outputLines.push(`${dayId} _`);
+        } else {
+            outputLines.push(`${dayId} ${shifts.map(s => s.toString()).join(' ')}`);
+        }
+    }
+    return outputLines.join('\n');
+}
+
+module.exports = {
+    formatInput,
+    formatOutput,
+};
@@ -0,0 +1,275 @@
+const { Shift, TRAINED_POINTS } = require('./domain');
+const { ScoringEngine } = require('./scoring');
+const { coveredSlots, skillDemand } = require('./skillDemand');
+
+// --- Training Planner (apprentice pairing) ---
+//
+// Builds a schedule day by day and trains staff on purpose. The simulation
+// runs on the official scoring engine, so training points, weekly hours and
+// who counts as trained are exactly what PlanningValidator will see.
+//
+// Every day is staffed with whole-day shifts:
+//   1. the day's skills are filled, scarcest first (fewest trained candidates),
+//      each slot with the trained employee whose shift costs least given the
+//      hours already worked that week; an apprentice's skill prefers teachers
+//      with a high teaching_rate, worth the apprentice hours they save
+//   2. slots no trained employee is left for get untrained workers, each
+//      filling half a slot, as long as their pay is below the revenue the
+//      half slot adds
+//   3. apprentices join a trained worker on the skill they are learning (or
+//      work it alone when nobody trained is on it)
+// A day whose revenue does not cover its payroll is left unstaffed.
+//
+// Apprentices are chosen from a simulation without them. Training employee e
+// in skill s takes 1000 / (learning_rate x best teaching_rate of s) hours on
+// days e is idle, paid at e's salary. Once trained, every later idle day of e
+// (up to max_hours_per_week) is worth, per hour, either the revenue of a slot
+// of s no trained worker filled, or the pay saved by replacing the priciest
+// trained worker on s, minus e's salary. Pairs whose value beats their
+// training payroll are taken greedily, best first; each one takes the slots
+// and idle days it was credited with, so the next is valued on what is left.
+// The schedule is then rebuilt with the apprentices and kept if it scores
+// better; if not, with the better half of them, and so on. Each kept round
+// starts over from the new schedule, for a few rounds.
+
+const MAX_ROUNDS = 5;
+
+/**
+ * Pay for a whole-day shift, split against the weekly hours worked so far.
+ */
+function shiftCost(engine, employee, day) {
+    const current = engine.weekHours.get(employee.id);
+    const hoursBefore = current && current.week === engine.weekOf(day.id) ? current.hours : 0;
+    const baseHours = Math.min(day.duration, Math.max(0, employee.maxHoursPerWeek - hoursBefore));
+    const overtimeRate = engine.instance.organization.overtimeRate(employee.salaryPerHour);
+    return baseHours * employee.salaryPerHour + (day.duration - baseHours) * overtimeRate;
+}
+
+/**
+ * Staffs one open day against the engine's current state (see the header).
+ * @returns {{shifts: Shift[], busy: Set<number>, skills: Map<string, {open: number, priciest: number}>, slotValue: number}}
+ *     `open` counts slots without a trained worker, `priciest` is the highest
+ *     hourly pay of a trained worker on the skill, `slotValue` the revenue of
+ *     one more covered slot-hour
+ */
+function staffDay(engine, day, apprentices, maxTeaching) {
+    const { instance } = engine;
+    const demand = skillDemand(day.requiredSkills);
+    const totalNeed = day.totalSkillHours();
+    const training = apprentices.filter(a =>
+        !engine.isTrained(a.employeeId, a.skill) && !instance.getEmployee(a.employeeId).isOnVacation(day.id));
+    const reserved = new Set(training.map(a => a.employeeId));
+    const available = instance.employees.filter(e => !e.isOnVacation(day.id) && !reserved.has(e.id));
+
+    const used = new Set();
+    const shifts = [];
+    const counts = new Map([...demand.keys()].map(skill => [skill, { trained: 0, untrained: 0, priciest: 0 }]));
+    let payroll = 0;
+    const assign = (employee, skill, trained) => {
+        const cost = shiftCost(engine, employee, day);
+        shifts.push(new Shift(employee.id, day.start, day.end, skill));
+        used.add(employee.id);
+        payroll += cost;
+        const count = counts.get(skill);
+        count[trained ? 'trained' : 'untrained']++;
+        if (trained) count.priciest = Math.max(count.priciest, cost / day.duration);
+    };
+    const trainedCandidates = skill => available.filter(e => !used.has(e.id) && engine.isTrained(e.id, skill));
+
+    // 1. Trained workers, scarcest skill first
+    const order = [...demand.keys()].sort((a, b) => trainedCandidates(a).length - trainedCandidates(b).length);
+    for (const skill of order) {
+        const learners = training.filter(a => a.skill === skill).map(a => instance.getEmployee(a.employeeId));
+        for (let slot = 0; slot < demand.get(skill); slot++) {
+            let best = null;
+            let bestPrice = Infinity;
+            for (const employee of trainedCandidates(skill)) {
+                // The first worker on the skill teaches; a faster teacher saves apprentice hours
+                const saved = slot > 0 ? 0 : learners.reduce((sum, learner) =>
+                    sum + day.duration * learner.salaryPerHour * employee.teachingRate / maxTeaching.get(skill), 0);
+                const price = shiftCost(engine, employee, day) - saved;
+                if (price < bestPrice) {
+                    best = employee;
+                    bestPrice = price;
+                }
+            }
+            if (!best) break;
+            assign(best, skill, true);
+        }
+    }
+
+    const covered = () => [...demand].reduce((sum, [skill, slots]) =>
+        sum + coveredSlots(slots, counts.get(skill).trained, counts.get(skill).untrained), 0) * day.duration;
+    const capacity = totalNeed > 0 ? covered() / totalNeed : 0;
+    const slotValue = totalNeed > 0 ? day.revenue * (1 + capacity) / totalNeed : 0;
+    const skills = new Map([...demand].map(([skill, slots]) =>
+        [skill, { open: Math.max(0, slots - counts.get(skill).trained), priciest: counts.get(skill).priciest }]));
+
+    // 2. Untrained workers for what is left, while they pay for themselves
+    for (const [skill, slots] of demand) {
+        const count = counts.get(skill);
+        while (coveredSlots(slots, count.trained, count.untrained) < slots) {
+            const idle = available.filter(e => !used.has(e.id))
+                .sort((a, b) => shiftCost(engine, a, day) - shiftCost(engine, b, day));
+            if (idle.length === 0 || shiftCost(engine, idle[0], day) >= 0.5 * slotValue * day.duration) break;
+            assign(idle[0], skill, engine.isTrained(idle[0].id, skill));
+        }
+    }
+
+    if (day.revenue * (covered() / totalNeed) ** 2 - payroll < 0) {
+        return { shifts: [], busy: new Set(), skills, slotValue };
+    }
+
+    // 3. Apprentices next to the best teacher on their skill
+    for (const { employeeId, skill } of training) {
+        const teachers = shifts.filter(s => s.skill === skill && engine.isTrained(s.employeeId, skill));
+        const teacher = teachers.sort((a, b) =>
+            instance.getEmployee(b.employeeId).teachingRate - instance.getEmployee(a.employeeId).teachingRate)[0];
+        shifts.push(new Shift(employeeId, teacher ? teacher.start : day.start, teacher ? teacher.end : day.end, skill));
+        used.add(employeeId);
+    }
+    return { shifts, busy: used, skills, slotValue };
+}
+
+/**
+ * Builds and scores a schedule with the given apprentices.
+ * @returns {{schedule: Map<number, Shift[]>, total: number, days: object[], engine: ScoringEngine,
+ *     trainedOn: Map<string, number>}} `days` holds staffDay's findings per day in id order
+ */
+function simulate(instance, apprentices, maxTeaching) {
+    const engine = new ScoringEngine(instance);
+    const schedule = new Map();
+    const days = [];
+    const trainedOn = new Map(); // "employeeId skill" -> day id
+    let total = 0;
+    for (const day of [...instance.days].sort((a, b) => a.id - b.id)) {
+        const staffing = day.isClosed || day.requiredSkills.length === 0
+            ? { shifts: [], busy: new Set(), skills: new Map(), slotValue: 0 }
+            : staffDay(engine, day, apprentices, maxTeaching);
+        const result = engine.scoreDay(day, staffing.shifts);
+        result.trained.forEach(({ employeeId, skill }) => trainedOn.set(`${employeeId} ${skill}`, day.id));
+        schedule.set(day.id, staffing.shifts);
+        days.push({ day, ...staffing });
+        total += result.profit;
+    }
+    return { schedule, total, days, engine, trainedOn };
+}
+
+/**
+ * Values training one employee in one skill on top of a simulation.
+ * @returns {{net: number, value: number, cost: number, credits: {index: number, hours: number}[], trainingDays: number[]}}
+ */
+function valueApprenticeship(simulation, employee, skill, teachingRate) {
+    const hoursNeeded = Math.ceil(TRAINED_POINTS / (employee.learningRate * teachingRate));
+    let trainedHours = 0;
+    let cost = 0;
+    let value = 0;
+    const credits = [];
+    const trainingDays = [];
+    const weekHours = new Map();
+    simulation.days.forEach(({ day, busy, skills, slotValue }, index) => {
+        if (day.isClosed || employee.isOnVacation(day.id) || busy.has(employee.id) || !skills.has(skill)) return;
+        if (trainedHours < hoursNeeded) {
+            trainedHours += day.duration;
+            cost += day.duration * employee.salaryPerHour;
+            trainingDays.push(index);
+            return;
+        }
+        const week = Math.floor(day.id / 7);
+        const hours = Math.min(day.duration, employee.maxHoursPerWeek - (weekHours.get(week) || 0));
+        const { open, priciest } = skills.get(skill);
+        const perHour = (open > 0 ? slotValue : priciest) - employee.salaryPerHour;
+        if (hours <= 0 || perHour <= 0) return;
+        weekHours.set(week, (weekHours.get(week) || 0) + hours);
+        value += hours * perHour;
+        credits.push({ index, hours });
+    });
+    if (trainedHours < hoursNeeded) return { net: -Infinity, value: 0, cost, credits: [], trainingDays };
+    return { net: value - cost, value, cost, credits, trainingDays };
+}
+
+/**
+ * Picks new apprentices greedily on top of a simulation (see the header).
+ * @returns {{employeeId: number, skill: string, value: number, cost: number}[]}
+ */
+function chooseApprentices(instance, simulation, apprentices, maxTeaching) {
+    const taken = new Set(apprentices.map(a => a.employeeId));
+    const chosen = [];
+    for (;;) {
+        let best = null;
+        for (const employee of instance.employees) {
+            if (taken.has(employee.id)) continue;
+            for (const skill of maxTeaching.keys()) {
+                if (simulation.engine.isTrained(employee.id, skill)) continue;
+                const option = valueApprenticeship(simulation, employee, skill, maxTeaching.get(skill));
+                if (option.net > 0 && (!best || option.net > best.net)) best = { employee, skill, ...option };
+            }
+        }
+        if (!best) return chosen;
+
+        // The apprentice takes the slots and days it was valued on
+        for (const { index } of best.credits) {
+            const day = simulation.days[index];
+            const entry = day.skills.get(best.skill);
+            if (entry.open > 0) entry.open--;
+            else entry.priciest = best.employee.salaryPerHour;
+        }
+        [...best.trainingDays, ...best.credits.map(c => c.index)].forEach(index => simulation.days[index].busy.add(best.employee.id));
+        taken.add(best.employee.id);
+        chosen.push({ employeeId: best.employee.id, skill: best.skill, value: best.value, cost: best.cost });
+    }
+}
+
+/**
+ * Plans a schedule with deliberate training.
+ * @param {import('./domain').Instance} instance
+ * @param {{rounds?: number, onRound?: Function}} [options]
+ *     onRound(round, chosen, total, kept) after each schedule rebuilt with new apprentices
+ * @returns {{schedule: Map<number, Shift[]>, total: number, baseline: number,
+ *     apprentices: {employeeId: number, skill: string, value: number, cost: number, trainedOn: number|null}[]}}
+ */
+function planTraining(instance, { rounds = MAX_ROUNDS, onRound } = {}) {
+    // Best teaching rate among those trained in each skill at the start
+    const maxTeaching = new Map();
+    for (const day of instance.days) {
+        for (const skill of day.requiredSkills) {
+            const teachers = instance.employees.filter(e => e.initialSkills.has(skill));
+            maxTeaching.set(skill, Math.max(1, ...teachers.map(e => e.teachingRate)));
+        }
+    }
+
+    let apprentices = [];
+    let best = simulate(instance, apprentices, maxTeaching);
+    const baseline = best.total;
+    for (let round = 1; round <= rounds; round++) {
+        let chosen = chooseApprentices(instance, simulate(instance, apprentices, maxTeaching), apprentices, maxTeaching);
+        let kept = false;
+        // A round that does not pay off is retried with its better half
+        while (chosen.length > 0 && !kept) {
+            const candidate = simulate(instance, [...apprentices, ...chosen], maxTeaching);
+            kept = candidate.total > best.total;
+            if (onRound) onRound(round, chosen, candidate.total, kept);
+            if (kept) {
+                apprentices = [...apprentices, ...chosen];
+                best = candidate;
+            } else {
+                chosen = chosen.slice(0, Math.floor(chosen.length / 2));
+            }
+        }
+        if (!kept) break;
+    }
+
+    return {
+        schedule: best.schedule,
+        total: best.total,
+        baseline,
+        apprentices: apprentices.map(a => {
+            const trainedOn = best.trainedOn.get(`${a.employeeId} ${a.skill}`);
+            return { ...a, trainedOn: trainedOn === undefined ? null : trainedOn };
+        }),
+    };
+}
+
+module.exports = {
+    planTraining,
+};
@@ -0,0 +1,95 @@
+const { earliestTraining } = require('./branchAndBound');
+
+// --- Profit Upper Bound ---
+//
+// A quick, provable upper bound on the official profit of an instance, to
+// tell how far a schedule is from the best possible one. Every open day is
+// priced on its own, as if it reached 100% capacity at the lowest payroll the
+// available staff allows:
+//   - an hour of work fills at most one slot if the employee is trained in
+//     one of the day's skills, half a slot otherwise; training is optimistic,
+//     as in the exact solver (lib/branchAndBound.js)
+//   - an hour costs at least the cheaper of the employee's base and overtime
+//     rates, whatever else they work that week
+// The cheapest hours are bought first until the day's slot-hours are filled.
+// Revenue R x C^2 grows slower than that payroll at low capacity, so the
+// profit of any staffing level lies below the best of the levels where the
+// next employee starts, including 100% and no staff at all. The bound is the
+// sum of those day maxima, minus the fixed costs of every day.
+
+/**
+ * @typedef {object} DayBound
+ * @property {number} dayId
+ * @property {number} revenue Revenue at 100% capacity
+ * @property {number} capacity Capacity at which the day's bound is reached
+ * @property {number} payroll Lowest payroll for that capacity
+ * @property {number} fixedCost
+ * @property {number} bound Highest possible profit of the day
+ */
+
+/**
+ * Best profit of one open day over the staffing levels of its cheapest hours.
+ * @returns {{capacity: number, payroll: number, earned: number}}
+ */
+function boundDay(instance, day, dayIndex, earliest) {
+    const totalNeed = day.totalSkillHours();
+    const offers = [];
+    for (const employee of instance.employees) {
+        if (employee.isOnVacation(day.id)) continue;
+        const trained = day.requiredSkills.some(skill =>
+            employee.initialSkills.has(skill) || earliest.get(`${employee.id} ${skill}`) <= dayIndex);
+        const gain = trained ? 1 : 0.5;
+        const hourlyCost = Math.min(employee.salaryPerHour, instance.organization.overtimeRate(employee.salaryPerHour));
+        offers.push({ slotHours: day.duration * gain, cost: hourlyCost / gain });
+    }
+    offers.sort((a, b) => a.cost - b.cost);
+
+    let best = { capacity: 0, payroll: 0, earned: 0 };
+    let covered = 0;
+    let payroll = 0;
+    for (const offer of offers) {
+        if (covered >= totalNeed) break;
+        const taken = Math.min(offer.slotHours, totalNeed - covered);
+        covered += taken;
+        payroll += taken * offer.cost;
+        const capacity = covered / totalNeed;
+        const earned = day.revenue * capacity * capacity - payroll;
+        if (earned > best.earned) best = { capacity, payroll, earned };
+    }
+    return best;
+}
+
+/**
+ * Computes the upper bound of an instance.
+ * @param {import('./domain').Instance} instance
+ * @returns {{total: number, days: DayBound[]}}
+ */
+function profitUpperBound(instance) {
+    const days = [...instance.days].sort((a, b) => a.id - b.id);
+    const earliest = earliestTraining(instance, days);
+    const fixedCost = instance.organization.fixedCost;
+
+    const dayBounds = days.map((day, index) => {
+        const { capacity, payroll, earned } = day.isClosed || day.totalSkillHours() === 0
+            ? { capacity: 0, payroll: 0, earned: 0 }
+            : boundDay(instance, day, index, earliest);
+        return { dayId: day.id, revenue: day.revenue, capacity, payroll, fixedCost, bound: earned - fixedCost };
+    });
+    return { total: dayBounds.reduce((sum, d) => sum + d.bound, 0), days: dayBounds };
+}
+
+/**
+ * Relative distance of a score from the bound, in percent of the bound. Only
+ * a positive bound gives a meaningful percentage.
+ * @param {number} score
+ * @param {number} bound
+ * @returns {number|null} null when the bound is 0 or negative
+ */
+function optimalityGap(score, bound) {
+    return bound <= 0 ? null : (bound - score) / bound * 100;
+}
+
+module.exports = {
+    optimalityGap,
+    profitUpperBound,
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const { formatDiagnostic } = require('./lib/inputParser');
+const { lintInput } = require('./lib/inputLint');
+
+// --- Execution ---
+//
+// Pre-flight check for instance files. Exits with 1 when any file has errors,
+// so broken instances are caught before solver time is spent on them.
+
+if (require.main === module) {
+    const inputPaths = process.argv.slice(2);
+    if (inputPaths.length === 0) {
+        console.log("Usage: node lint.js <input_file_path> [more_input_files...]");
+        process.exit(1);
+    }
+
+    let hasErrors = false;
+    for (const inputPath of inputPaths) {
+        let text;
+        try {
+            text = fs.readFileSync(inputPath, 'utf8');
+        } catch (e) {
+            hasErrors = true;
+            console.log(`--- ${inputPath}: file not found or inaccessible (${e.code || e.message}) ---`);
+            continue;
+        }
+        const findings = lintInput(text);
+        const errors = findings.filter(f => f.severity === 'error').length;
+        hasErrors = hasErrors || errors > 0;
+
+        console.log(`--- ${inputPath}: ${errors} error(s), ${findings.length - errors} warning(s) ---`);
+        for (const finding of findings) {
+            console.log(`  ${finding.severity.padEnd(7)} ${inputPath}:${formatDiagnostic(finding)}`);
+        }
+    }
+    process.exit(hasErrors ? 1 : 0);
+}
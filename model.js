@@ -0,0 +1,30 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { formatLpModel, formatMiniZincModel } = require('./lib/modelExport');
+
+// --- Execution ---
+//
+// Exports an instance as a mixed-integer model for an external solver (see
+// lib/modelExport.js): CPLEX LP format for `.lp` targets, MiniZinc for `.mzn`.
+// The model's optimum is an upper bound on the official profit, meant for
+// instances the exact solver cannot close, such as C_Month and D_Multi_Month.
+
+const FORMATS = {
+    '.lp': formatLpModel,
+    '.mzn': formatMiniZincModel,
+};
+
+if (require.main === module) {
+    const targetPath = process.argv[3] || '';
+    const format = Object.keys(FORMATS).find(extension => targetPath.endsWith(extension));
+    if (process.argv.length !== 4 || !format) {
+        console.log("Usage: node model.js <input_file_path> <model_file>");
+        console.log("  model.lp (CPLEX LP format) or model.mzn (MiniZinc)");
+        process.exit(1);
+    }
+
+    const instance = readOrExit(process.argv[2], path => readInput(path, { strict: true }));
+    fs.writeFileSync(targetPath, FORMATS[format](instance) + '\n');
+    console.log(`Model written to ${targetPath}`);
+}
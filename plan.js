@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { formatProfit, formatTable } = require('./lib/reportTable');
+const { formatOutput } = require('./lib/textFormat');
+const { planTraining } = require('./lib/trainingPlanner');
+
+// --- Execution ---
+//
+// Plans a schedule that trains staff on purpose (see lib/trainingPlanner.js):
+// cheap learners are paired with good teachers on scarce skills when the
+// cheaper coverage they give later outweighs their training payroll. Meant for
+// long horizons such as E_Year. Profits are the official ones.
+
+if (require.main === module) {
+    const args = [];
+    const options = {};
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--rounds') {
+            options.rounds = parseInt(process.argv[++i], 10);
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 2 || (options.rounds !== undefined && !(options.rounds >= 0))) {
+        console.log("Usage: node plan.js [--rounds <n>] <input_file_path> <output_file_path>");
+        process.exit(1);
+    }
+
+    const [inputPath, outputPath] = args;
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    const result = planTraining(instance, {
+        ...options,
+        onRound: (round, chosen, total, kept) =>
+            console.log(`  round ${round}: ${chosen.length} apprentice(s), profit ${formatProfit(total)}${kept ? '' : ' (rejected)'}`),
+    });
+
+    if (result.apprentices.length > 0) {
+        console.log(formatTable([
+            { key: 'employeeId', title: 'Employee' },
+            { key: 'skill', title: 'Skill' },
+            { key: 'cost', title: 'Training pay', digits: 0 },
+            { key: 'value', title: 'Expected value', digits: 0 },
+            { key: 'trainedOn', title: 'Trained on day' },
+        ], result.apprentices.map(a => ({ ...a, trainedOn: a.trainedOn === null ? '-' : a.trainedOn }))));
+    }
+    console.log('-'.repeat(50));
+    console.log(`Profit without training: ${formatProfit(result.baseline)}`);
+    console.log(`Profit with training:    ${formatProfit(result.total)}`);
+
+    fs.writeFileSync(outputPath, formatOutput(canonicalizeSchedule(result.schedule).schedule) + '\n');
+    console.log(`Schedule written to ${outputPath}`);
+}
@@ -17,118 +17,39 @@
  */
 
 const fs = require('fs');
-const path = require('path');
+const { mergeShifts } = require('./lib/canonicalSchedule');
+const { DayRoster, staffingLevels } = require('./lib/dayRoster');
+const { Shift, TRAINED_POINTS } = require('./lib/domain');
+const { InputParseError, formatDiagnostic, readInput } = require('./lib/inputParser');
+const { formatProblem, readOutput } = require('./lib/outputParser');
+const { shiftsOverlap } = require('./lib/shiftRules');
+const { coveredSlots, skillDemand } = require('./lib/skillDemand');
+const { formatOutput } = require('./lib/textFormat');
 
 // --- DATA MODELS ---
 
-/**
- * Represents a single shift assignment for an employee. [cite: 71-72]
- */
-class Shift {
-  /**
-   * @param {number} employeeId
-   * @param {number} start Hour (inclusive)
-   * @param {number} end Hour (exclusive)
-   * @param {string} skill
-   */
-  constructor(employeeId, start, end, skill) {
-    this.employeeId = employeeId;
-    this.start = start;
-    this.end = end;
-    this.skill = skill;
-  }
-
-  /**
-   * Formats the shift for the output file.
-   * @returns {string}
-   */
-  toString() {
-    return `${this.employeeId}-${this.start}-${this.end}-${this.skill}`;
-  }
-}
-
-/**
- * Represents a single day in the planning horizon. [cite: 39-48]
- */
-class Day {
-  /**
-   * @param {number} id
-   * @param {boolean} isOpen
-   * @param {number} start
-   * @param {number} end
-   * @param {number} dailyRevenue
-   * @param {string[]} requiredSkills
-   */
-  constructor(id, isOpen, start = 0, end = 0, dailyRevenue = 0, requiredSkills = []) {
-    this.id = id;
-    this.isOpen = isOpen;
-    this.start = start;
-    this.end = end;
-    this.dailyRevenue = dailyRevenue;
-    this.requiredSkills = requiredSkills;
-  }
-
-  /**
-   * @returns {number}
-   */
-  get duration() {
-    return this.isOpen ? this.end - this.start : 0;
-  }
-
-  /**
-   * Total skill-hours needed for 100% capacity.
-   * @returns {number}
-   */
-  get totalRequiredSkillHours() {
-    return this.isOpen ? this.duration * this.requiredSkills.length : 0;
-  }
-}
+// Day, Employee and Shift come from the shared domain module.
 
 /**
- * Represents an employee and their base attributes. [cite: 50-61]
+ * Official week of a day, as ScoringEngine.weekOf numbers it: days 0-6 are
+ * week 0.
+ * @param {number} dayId
+ * @returns {number}
  */
-class Employee {
-  /**
-   * @param {number} id
-   * @param {number} maxHoursPerWeek
-   * @param {number} salaryPerHour
-   * @param {number} learningRate
-   * @param {number} teachingRate
-   * @param {Set<string>} knownSkills
-   * @param {Set<number>} vacationDays
-   */
-  constructor(id, maxHoursPerWeek, salaryPerHour, learningRate, teachingRate, knownSkills, vacationDays) {
-    this.id = id;
-    this.maxHoursPerWeek = maxHoursPerWeek;
-    this.salaryPerHour = salaryPerHour;
-    this.learningRate = learningRate;
-    this.teachingRate = teachingRate;
-    this.knownSkills = knownSkills;
-    this.vacationDays = vacationDays;
-  }
-
-  /**
-   * Creates a deep copy for simulation purposes.
-   * @returns {Employee}
-   */
-  clone() {
-    return new Employee(
-      this.id,
-      this.maxHoursPerWeek,
-      this.salaryPerHour,
-      this.learningRate,
-      this.teachingRate,
-      new Set(this.knownSkills), // Deep copy skills
-      this.vacationDays // Vacations are static, no deep copy needed
-    );
-  }
+function officialWeek(dayId) {
+  return Math.floor(dayId / 7);
 }
 
 /**
  * Tracks the dynamic state of an employee during simulation.
  */
 class EmployeeState {
-  constructor() {
+  /**
+   * @param {(dayId: number) => number} [weekOf] Week numbering; by default
+   *     days 1-7 are week 0, as calculateScore counts them
+   */
+  constructor(weekOf = dayId => Math.floor((dayId - 1) / 7)) {
+    this.weekOf = weekOf;
     // Tracks hours worked per week index
     this.weeklyHours = {}; // { 0: 5, 1: 8, ... }
     // Tracks training points per skill
@@ -140,7 +61,7 @@ class EmployeeState {
    * @returns {number}
    */
   getWeekIndex(dayId) {
-    return Math.floor((dayId - 1) / 7); // [cite: 62-63]
+    return this.weekOf(dayId); // [cite: 62-63]
   }
 
   /**
@@ -160,6 +81,15 @@ class EmployeeState {
     this.weeklyHours[weekIndex] = (this.weeklyHours[weekIndex] || 0) + 1;
   }
 
+  /**
+   * Takes back an hour added with addHour.
+   * @param {number} dayId
+   */
+  removeHour(dayId) {
+    const weekIndex = this.getWeekIndex(dayId);
+    this.weeklyHours[weekIndex] = (this.weeklyHours[weekIndex] || 0) - 1;
+  }
+
   /**
    * @param {string} skill
    * @returns {number}
@@ -177,15 +107,83 @@ class EmployeeState {
   }
 }
 
+/**
+ * What a fully staffed schedule has every employee work after a given day:
+ * their hours later in the same week, and their untrained hours per skill.
+ */
+class StaffingOutlook {
+  /**
+   * @param {import('./lib/domain').Day[]} days
+   * @param {Map<number, Shift[]>} schedule
+   */
+  constructor(days, schedule) {
+    // employeeId -> [{dayId, hours, shifts}] in day order
+    this.workdays = new Map();
+    for (const day of days) {
+      const byEmployee = new Map();
+      for (const shift of schedule.get(day.id) || []) {
+        const entry = byEmployee.get(shift.employeeId) || { dayId: day.id, hours: 0, shifts: [] };
+        entry.hours += shift.end - shift.start;
+        entry.shifts.push(shift);
+        byEmployee.set(shift.employeeId, entry);
+      }
+      byEmployee.forEach((entry, id) => {
+        if (!this.workdays.has(id)) this.workdays.set(id, []);
+        this.workdays.get(id).push(entry);
+      });
+    }
+  }
+
+  /**
+   * @param {number} employeeId
+   * @param {number} dayId
+   * @returns {number} Hours on the days after `dayId`, in its week
+   */
+  hoursLaterInWeek(employeeId, dayId) {
+    const week = officialWeek(dayId);
+    return (this.workdays.get(employeeId) || [])
+      .filter(w => w.dayId > dayId && officialWeek(w.dayId) === week)
+      .reduce((sum, w) => sum + w.hours, 0);
+  }
+
+  /**
+   * @param {number} employeeId
+   * @param {string} skill Not one of the employee's initial skills
+   * @param {number} dayId
+   * @returns {number} Hours on the skill on the days after `dayId`
+   */
+  untrainedHoursLater(employeeId, skill, dayId) {
+    let hours = 0;
+    for (const w of this.workdays.get(employeeId) || []) {
+      if (w.dayId <= dayId) continue;
+      w.shifts.filter(s => s.skill === skill).forEach(s => { hours += s.end - s.start; });
+    }
+    return hours;
+  }
+}
+
+/**
+ * Number of (employee, skill) pairs that count as trained.
+ * @param {Map<number, Set<string>>} trainedSkills
+ * @returns {number}
+ */
+function countTrained(trainedSkills) {
+  let count = 0;
+  trainedSkills.forEach(skills => { count += skills.size; });
+  return count;
+}
+
 // --- MAIN SOLVER CLASS ---
 
 class CodeBashSolver {
   constructor() {
-    /** @type {{overtimeModifierPercent: number, fixedDailyCost: number}} */
-    this.organization = {};
-    /** @type {Day[]} */
+    /** @type {import('./lib/domain').Instance} */
+    this.instance = null;
+    /** @type {import('./lib/domain').Organization} */
+    this.organization = null;
+    /** @type {import('./lib/domain').Day[]} */
     this.days = [];
-    /** @type {Map<number, Employee>} */
+    /** @type {Map<number, import('./lib/domain').Employee>} */
     this.employees = new Map();
   }
 
@@ -193,81 +191,38 @@ class CodeBashSolver {
 
   /**
    * Parses the input file and populates the data models.
+   * Collects every problem in the file before failing.
    * @param {string} filePath
+   * @throws {InputParseError} listing each bad field with line and column
    */
   parseInput(filePath) {
     console.log(`Parsing input file: ${filePath}`);
-    const lines = fs.readFileSync(filePath, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
-
-    let lineIndex = 0;
 
-    try {
-      // 1. Parse Organization
-      if (lines.length < 2) throw new Error("Input file is too short.");
-      
-      const [overtime, fixedCost] = lines[lineIndex].split(' ').map(Number);
-      this.organization = {
-        overtimeModifierPercent: overtime,
-        fixedDailyCost: fixedCost,
-      };
-      lineIndex++; // Move to next line (day count)
-
-      // 2. Parse Day Count
-      const dayCount = Number(lines[lineIndex]);
-      if (isNaN(dayCount) || dayCount < 0) throw new Error(`Invalid day count: ${lines[lineIndex]}`);
-      lineIndex++; // Move to first day line
-
-      // 3. Parse Days [cite: 136-139]
-      const endOfDayLines = lineIndex + dayCount;
-      if (lines.length < endOfDayLines) throw new Error(`Expected ${dayCount} day lines, but file ended early.`);
-
-      for (let i = lineIndex; i < endOfDayLines; i++) {
-        const dayParts = lines[i].split(' ');
-        const dayId = Number(dayParts[0]);
-        
-        if (dayParts.length > 1) { // Open Day
-          const [start, end, revenue] = dayParts.slice(1, 4).map(Number);
-          const skills = dayParts[4].split(','); //
-          this.days.push(new Day(dayId, true, start, end, revenue, skills));
-        } else { // Closed Day
-          this.days.push(new Day(dayId, false));
-        }
-      }
-      
-      lineIndex = endOfDayLines; // Set index to the first employee line
-
-      // 4. Parse Employees
-      while (lineIndex < lines.length) {
-        const empParts = lines[lineIndex].split(' ');
-        if (empParts.length < 7) {
-            console.warn(`Skipping malformed employee line ${lineIndex + 1}: "${lines[lineIndex]}"`);
-            lineIndex++;
-            continue;
-        }
-        
-        const id = Number(empParts[0]); //
-        const [maxHours, salary, learning, teaching] = empParts.slice(1, 5).map(Number); //
-        
-        const skillsCsv = empParts[5];
-        const skills = skillsCsv === '_' ? new Set() : new Set(skillsCsv.split(',')); //
-        
-        const vacationCsv = empParts[6];
-        const vacations = vacationCsv === '_' ? new Set() : new Set(vacationCsv.split(',').map(Number)); //
-
-        const employee = new Employee(id, maxHours, salary, learning, teaching, skills, vacations);
-        this.employees.set(id, employee);
-        lineIndex++;
-      }
-      
-    } catch (e) {
-      console.error(`Error parsing input file at line ${lineIndex + 1}: "${lines[lineIndex] || 'EOF'}"`);
-      console.error(e.message);
-      process.exit(1);
-    }
+    const instance = readInput(filePath, { strict: true });
+    this.instance = instance;
+    this.organization = instance.organization;
+    this.days = instance.days;
+    this.employees = new Map(instance.employees.map(emp => [emp.id, emp]));
     
     console.log(`Parsing complete. Found ${this.days.length} days and ${this.employees.size} employees.`);
   }
 
+  /**
+   * Reads an existing schedule file for the parsed input.
+   * Unreadable tokens are reported and dropped; the rest of the schedule is kept.
+   * @param {string} filePath
+   * @returns {{schedule: Map<number, Shift[]>, problems: import('./lib/outputParser').OutputProblem[]}}
+   */
+  parseOutput(filePath) {
+    console.log(`Parsing schedule file: ${filePath}`);
+
+    const { schedule, problems } = readOutput(filePath, this.instance);
+    problems.forEach(p => console.error(` - ${filePath}:${formatProblem(p)}`));
+
+    console.log(`Parsing complete. Found ${schedule.size} day lines, ${problems.length} problem(s).`);
+    return { schedule, problems };
+  }
+
   // --- 2. SCHEDULING ALGORITHM (UPDATED) ---
 
   /**
@@ -275,104 +230,300 @@ class CodeBashSolver {
    *
    * *** THIS IS THE METHOD YOU NEED TO IMPROVE ***
    *
-   * This logic now prioritizes 100% capacity to avoid the
+   * Every open day is first staffed towards 100% capacity, to avoid the
    * negative score trap from the `capacity^2` rule.
-   * It sorts employees by cost and tries to cover each skill with:
-   * 1. One SKILLED employee 
-   * 2. Or, TWO UNSKILLED employees 
+   * It covers every slot of every skill, hour by hour:
+   * 1. with SKILLED employees first, for all skills
+   * 2. then with UNSKILLED employees (two per slot) where gaps remain
+   *
+   * Only the hours where a skill is still short are staffed, so an employee
+   * can work several shifts a day, on different skills (see DayRoster).
+   * Candidates are priced at their marginal rate: base salary while they are
+   * under max_hours_per_week, overtime above it, counting the hours already
+   * planned that week (tracked in EmployeeState, by official week: days 0-6
+   * share a max_hours_per_week budget, as the validator counts them).
+   * A shift can stop at the employee's weekly cap and hand the rest of the
+   * gap to someone who is cheaper for it than the overtime.
+   *
+   * Full staffing does not always pay: a day that can only reach a low
+   * capacity earns little revenue for its payroll. So the day then keeps the
+   * staffing level with the best marginal profit (see chooseLevel), which can
+   * be no staff at all. The overtime and training effects of a level on later
+   * days are estimated from a first pass that staffs every day fully; it
+   * accrues training points like the second pass, so skills learned along the
+   * way count as trained in both.
    *
    * @returns {Map<number, Shift[]>} A map of `dayId` to an array of `Shift` objects.
    */
   generateSchedule() {
-    console.log('Generating 100%-capacity-focused schedule...');
+    console.log('Generating profit-aware schedule...');
+    const outlook = new StaffingOutlook(this.days, this.staffDays(null));
+    const schedule = this.staffDays(outlook);
+    console.log('New schedule generated.');
+    return schedule;
+  }
+
+  /**
+   * Staffs every open day in order, fully or, given an outlook, at the most
+   * profitable level.
+   * @param {StaffingOutlook|null} outlook
+   * @returns {Map<number, Shift[]>}
+   */
+  staffDays(outlook) {
     /** @type {Map<number, Shift[]>} */
     const schedule = new Map();
-    
-    // This logic doesn't track weekly hours, but your *real*
-    // algorithm will need to.
+
+    // Hours planned so far, per employee and week, and estimated training points
+    const states = new Map();
+    this.employees.forEach((emp, id) => states.set(id, new EmployeeState(officialWeek)));
+    const employees = [...this.employees.values()];
     
     for (const day of this.days) {
-      const dailyShifts = [];
-      
-      if (!day.isOpen) {
+      if (day.isClosed) {
         schedule.set(day.id, []);
         continue; // Closed day
       }
 
-      // 1. Get all employees available today, sorted by cheapest first.
-      const availableEmployees = [];
-      for (const employee of this.employees.values()) {
-        if (!employee.vacationDays.has(day.id)) { //
-          availableEmployees.push(employee);
-        }
+      const hoursBefore = new Map();
+      states.forEach((state, id) => hoursBefore.set(id, state.getHoursThisWeek(day.id)));
+      const roster = new DayRoster(this.instance, day);
+      const demand = skillDemand(day.requiredSkills);
+      const isSkilled = (shift, skill) => this.isTrained(states, shift.employeeId, skill);
+
+      // --- Pass 1: SKILLED employees, for every skill ---
+      for (const [skill, slots] of demand) {
+        const short = workers => workers.filter(s => isSkilled(s, skill)).length < slots;
+        this.fillGaps(roster, skill, short, employees.filter(emp => this.isTrained(states, emp.id, skill)), states);
       }
-      availableEmployees.sort((a, b) => a.salaryPerHour - b.salaryPerHour); //
 
-      const assignedEmployeeIds = new Set(); // Prevents overlaps [cite: 80, 127]
+      // --- Pass 2: UNSKILLED employees where slots are still open ---
+      // One of them gives only 50% of a slot, but it's better than 0%.
+      for (const [skill, slots] of demand) {
+        const short = workers => {
+          const skilled = workers.filter(s => isSkilled(s, skill)).length;
+          return coveredSlots(slots, skilled, workers.length - skilled) < slots;
+        };
+        this.fillGaps(roster, skill, short, employees, states);
+      }
 
-      for (const skill of day.requiredSkills) {
-        
-        // --- Strategy 1: Find 1 cheap SKILLED employee ---
-        let covered = false;
-        for (const emp of availableEmployees) {
-          if (!assignedEmployeeIds.has(emp.id) && emp.knownSkills.has(skill)) {
-            dailyShifts.push(new Shift(emp.id, day.start, day.end, skill));
-            assignedEmployeeIds.add(emp.id);
-            covered = true;
-            break; // Skill covered, move to next skill
+      let shifts = mergeShifts(roster.shifts);
+      if (outlook) {
+        const kept = this.chooseLevel(day, shifts, hoursBefore, states, outlook);
+        // Give back the hours of the shifts the day does without
+        for (const shift of shifts.filter(s => !kept.includes(s))) {
+          for (let h = shift.start; h < shift.end; h++) {
+            states.get(shift.employeeId).removeHour(day.id);
           }
         }
+        shifts = kept;
+      }
+      this.trainingGains(shifts, states).forEach(({ employeeId, skill, points }) =>
+        states.get(employeeId).addTrainingPoints(skill, points));
+      schedule.set(day.id, shifts);
+    } // next day
+    
+    return schedule;
+  }
 
-        if (covered) continue;
+  /**
+   * Picks the staffing level of an open day with the highest marginal profit
+   * `revenue·C² − payroll`, counting what the level costs or earns later on:
+   *   - base hours used today push the employee's later hours that week into
+   *     overtime (as far as the outlook has them working then)
+   *   - untrained hours earn training points; once at 1000 points, the
+   *     employee's later untrained hours on the skill fill a whole slot
+   *     instead of half, worth half an hour of the day's revenue per slot-hour
+   * The levels go from full staffing down to no staff at all, dropping the
+   * shift with the highest cost per slot-hour it can fill first.
+   * @param {import('./lib/domain').Day} day
+   * @param {Shift[]} shifts The day at full staffing
+   * @param {Map<number, number>} hoursBefore Hours per employee that week before the day
+   * @param {Map<number, EmployeeState>} states
+   * @param {StaffingOutlook} outlook
+   * @returns {Shift[]} The shifts of the chosen level
+   */
+  chooseLevel(day, shifts, hoursBefore, states, outlook) {
+    const gain = s => this.isTrained(states, s.employeeId, s.skill) ? 1 : 0.5;
+    const unitCost = s => this.employees.get(s.employeeId).salaryPerHour / gain(s);
+    const dropOrder = [...shifts].sort((a, b) => unitCost(b) - unitCost(a));
+
+    let best = { shifts, value: -Infinity };
+    for (const kept of staffingLevels(shifts, dropOrder)) {
+      const value = this.levelValue(day, kept, hoursBefore, states, outlook);
+      if (value > best.value) best = { shifts: kept, value };
+    }
+    return best.shifts;
+  }
 
-        // --- Strategy 2: Find 2 cheap UNSKILLED employees ---
-        const unskilledNeeded = [];
-        for (const emp of availableEmployees) {
-          if (!assignedEmployeeIds.has(emp.id)) {
-            // We already know they are unskilled from Strategy 1
-            unskilledNeeded.push(emp);
-            if (unskilledNeeded.length === 2) {
-              break;
-            }
-          }
-        }
+  /**
+   * Marginal profit of staffing a day with `shifts` (see chooseLevel).
+   * @returns {number}
+   */
+  levelValue(day, shifts, hoursBefore, states, outlook) {
+    if (shifts.length === 0) return 0;
+    const totalNeed = day.totalSkillHours();
+    let achieved = 0;
+    skillDemand(day.requiredSkills).forEach((slots, skill) => {
+      for (let h = day.start; h < day.end; h++) {
+        const workers = shifts.filter(s => s.skill === skill && s.start <= h && h < s.end);
+        const skilled = workers.filter(s => this.isTrained(states, s.employeeId, skill)).length;
+        achieved += coveredSlots(slots, skilled, workers.length - skilled);
+      }
+    });
+    const capacity = totalNeed > 0 ? achieved / totalNeed : 0;
+    let value = day.revenue * capacity * capacity;
+
+    const hoursToday = new Map();
+    shifts.forEach(s => hoursToday.set(s.employeeId, (hoursToday.get(s.employeeId) || 0) + s.end - s.start));
+    hoursToday.forEach((hours, id) => {
+      const employee = this.employees.get(id);
+      const before = hoursBefore.get(id);
+      const later = outlook.hoursLaterInWeek(id, day.id);
+      const overtime = h => Math.max(0, h - employee.maxHoursPerWeek);
+      // Overtime that only arises from today's hours and the later ones together
+      const extraOvertime = overtime(before + hours + later) - overtime(before + hours)
+        - overtime(before + later) + overtime(before);
+      const premium = this.organization.overtimeRate(employee.salaryPerHour) - employee.salaryPerHour;
+      value -= this.weekCost(employee, before, hours) + extraOvertime * premium;
+    });
+
+    const slotHourValue = totalNeed > 0 ? day.revenue / totalNeed : 0;
+    for (const { employeeId, skill, points } of this.trainingGains(shifts, states)) {
+      const have = states.get(employeeId).getTrainingPoints(skill);
+      const useful = Math.max(0, Math.min(points, TRAINED_POINTS - have));
+      value += useful / TRAINED_POINTS * outlook.untrainedHoursLater(employeeId, skill, day.id) * slotHourValue / 2;
+    }
+    return value;
+  }
 
-        if (unskilledNeeded.length === 2) {
-          const emp1 = unskilledNeeded[0];
-          const emp2 = unskilledNeeded[1];
-          
-          dailyShifts.push(new Shift(emp1.id, day.start, day.end, skill));
-          assignedEmployeeIds.add(emp1.id);
-          
-          dailyShifts.push(new Shift(emp2.id, day.start, day.end, skill));
-          assignedEmployeeIds.add(emp2.id);
-          
-          covered = true;
-        }
-        
-        if (covered) continue;
-
-        // --- Strategy 3 (Fallback): Find 1 cheap UNSKILLED employee ---
-        // This will only give 50% capacity, but it's better than 0%.
-        // We only do this if we failed to find 2.
-        for (const emp of availableEmployees) {
-            if (!assignedEmployeeIds.has(emp.id)) {
-                dailyShifts.push(new Shift(emp.id, day.start, day.end, skill));
-                assignedEmployeeIds.add(emp.id);
-                covered = true;
-                break;
-            }
-        }
+  /**
+   * Whether an employee counts as trained on a skill at the start of a day:
+   * an initial skill, or one with TRAINED_POINTS from the days before.
+   * @param {Map<number, EmployeeState>} states
+   * @param {number} employeeId
+   * @param {string} skill
+   * @returns {boolean}
+   */
+  isTrained(states, employeeId, skill) {
+    return this.employees.get(employeeId).initialSkills.has(skill) ||
+      states.get(employeeId).getTrainingPoints(skill) >= TRAINED_POINTS;
+  }
 
-        // If not covered by now, we have no one left.
-        
-      } // next skill
-      
-      schedule.set(day.id, dailyShifts);
-    } // next day
-    
-    console.log('New schedule generated.');
-    return schedule;
+  /**
+   * Training points the untrained shifts of a day would earn, with the best
+   * overlapping trained teacher on the skill as multiplier.
+   * @param {Shift[]} shifts
+   * @param {Map<number, EmployeeState>} states
+   * @returns {{employeeId: number, skill: string, points: number}[]}
+   */
+  trainingGains(shifts, states) {
+    const isSkilled = s => this.isTrained(states, s.employeeId, s.skill);
+    return shifts.filter(s => !isSkilled(s)).map(learner => {
+      const teacherRate = Math.max(0, ...shifts
+        .filter(s => s.skill === learner.skill && isSkilled(s) && shiftsOverlap(s, learner))
+        .map(s => this.employees.get(s.employeeId).teachingRate));
+      const multiplier = teacherRate > 0 ? teacherRate : 1;
+      const points = (learner.end - learner.start) * this.employees.get(learner.employeeId).learningRate * multiplier;
+      return { employeeId: learner.employeeId, skill: learner.skill, points };
+    });
+  }
+
+  /**
+   * Cost of `hours` more hours for an employee with `hoursBefore` hours that
+   * week: base salary up to max_hours_per_week, overtime beyond.
+   * @param {import('./lib/domain').Employee} employee
+   * @param {number} hoursBefore
+   * @param {number} hours
+   * @returns {number}
+   */
+  weekCost(employee, hoursBefore, hours) {
+    const baseHours = Math.max(0, Math.min(hours, employee.maxHoursPerWeek - hoursBefore));
+    const overtimeRate = this.organization.overtimeRate(employee.salaryPerHour);
+    return baseHours * employee.salaryPerHour + (hours - baseHours) * overtimeRate;
+  }
+
+  /**
+   * Cost of `hours` more hours for an employee on a day (see weekCost).
+   * @param {import('./lib/domain').Employee} employee
+   * @param {EmployeeState} state
+   * @param {number} dayId
+   * @param {number} hours
+   * @returns {number}
+   */
+  marginalCost(employee, state, dayId, hours) {
+    return this.weekCost(employee, state.getHoursThisWeek(dayId), hours);
+  }
+
+  /**
+   * Staffs the hours where a skill is short until no gap can be filled.
+   * @param {DayRoster} roster
+   * @param {string} skill
+   * @param {(workers: Shift[]) => boolean} isShort
+   * @param {import('./lib/domain').Employee[]} candidates
+   * @param {Map<number, EmployeeState>} states
+   */
+  fillGaps(roster, skill, isShort, candidates, states) {
+    let added = true;
+    while (added) {
+      added = false;
+      for (const gap of roster.gaps(skill, isShort)) {
+        const shifts = this.planLane(roster, skill, gap.start, gap.end, candidates, states);
+        if (shifts.length > 0) added = true;
+      }
+    }
+  }
+
+  /**
+   * Covers [from, to) of one skill with a chain of shifts, as far as anyone
+   * is free. At every hour, the candidate with the lowest average marginal
+   * rate over the hours they are free takes them; if that runs into overtime
+   * and another candidate can take the remaining hours for less than the
+   * overtime rate, the shift stops at the weekly cap. Shifts are added to
+   * the roster and the employees' states.
+   * @param {DayRoster} roster
+   * @param {string} skill
+   * @param {number} from
+   * @param {number} to
+   * @param {import('./lib/domain').Employee[]} candidates
+   * @param {Map<number, EmployeeState>} states
+   * @returns {Shift[]} The shifts added
+   */
+  planLane(roster, skill, from, to, candidates, states) {
+    const day = roster.day;
+    const shifts = [];
+    while (from < to) {
+      const options = candidates
+        .map(emp => ({ emp, until: roster.freeUntil(emp.id, from, to) }))
+        .filter(option => option.until > from);
+      const rate = ({ emp, until }) => this.marginalCost(emp, states.get(emp.id), day.id, until - from) / (until - from);
+      const best = options.sort((a, b) => rate(a) - rate(b) || b.until - a.until)[0];
+      if (!best) {
+        from++; // Nobody free this hour
+        continue;
+      }
+
+      let end = best.until;
+      const hours = end - from;
+      const baseLeft = best.emp.maxHoursPerWeek - states.get(best.emp.id).getHoursThisWeek(day.id);
+      if (baseLeft > 0 && baseLeft < hours) {
+        // Hand the hours past the cap to someone cheaper than the overtime
+        const rest = hours - baseLeft;
+        const overtimeRate = this.organization.overtimeRate(best.emp.salaryPerHour);
+        const relief = options.some(({ emp }) => emp !== best.emp &&
+          roster.canWork(emp.id, from + baseLeft, end) &&
+          this.marginalCost(emp, states.get(emp.id), day.id, rest) < rest * overtimeRate);
+        if (relief) end = from + baseLeft;
+      }
+
+      const shift = new Shift(best.emp.id, from, end, skill);
+      roster.add(shift);
+      for (let h = from; h < end; h++) {
+        states.get(best.emp.id).addHour(day.id);
+      }
+      shifts.push(shift);
+      from = end;
+    }
+    return shifts;
   }
 
   // --- 3. VALIDATION ENGINE ---
@@ -402,7 +553,7 @@ class CodeBashSolver {
       const shifts = schedule.get(day.id) || [];
 
       // Rule: Closed day contains any shift tokens.
-      if (!day.isOpen && shifts.length > 0) {
+      if (day.isClosed && shifts.length > 0) {
         errors.push(`Day ${day.id} (Closed): Shifts are scheduled on a closed day.`);
         isValid = false;
       }
@@ -426,13 +577,13 @@ class CodeBashSolver {
         }
 
         // Rule: Shift outside opening window.
-        if (day.isOpen && (shift.start < day.start || shift.end > day.end)) {
+        if (!day.isClosed && (shift.start < day.start || shift.end > day.end)) {
           errors.push(`Day ${day.id}: Shift ${shift} is outside opening window [${day.start}, ${day.end}).`);
           isValid = false;
         }
         
         // Rule: Shift on a closed day.
-        if (!day.isOpen) {
+        if (day.isClosed) {
             // This is already covered by the rule, but good for defense.
             errors.push(`Day ${day.id}: Shift ${shift} scheduled on closed day.`);
             isValid = false;
@@ -452,7 +603,7 @@ class CodeBashSolver {
         
         for (const existing of existingShifts) {
             // Check for overlap: max(start1, start2) < min(end1, end2)
-            if (Math.max(shift.start, existing.start) < Math.min(shift.end, existing.end)) {
+            if (shiftsOverlap(shift, existing)) {
                 errors.push(`Day ${day.id}: Employee ${employee.id} has overlapping shifts: ${shift} and ${existing}`);
                 isValid = false;
             }
@@ -476,26 +627,29 @@ class CodeBashSolver {
   /**
    * Calculates the total score for a given schedule by running a full simulation. [cite: 167-171]
    * @param {Map<number, Shift[]>} schedule
+   * @param {object[]} [dayLog] Receives {dayId, capacity, payroll, profit, trainedCount} per day
    * @returns {number} The total score.
    */
-  calculateScore(schedule) {
+  calculateScore(schedule, dayLog = null) {
     console.log('Calculating score...');
     let totalScore = 0;
 
     // Create simulation-specific state
-    const simEmployees = new Map();
-    this.employees.forEach((emp, id) => simEmployees.set(id, emp.clone()));
+    // Skills each employee is trained in so far; grows as trainees reach 1000 points
+    const trainedSkills = new Map();
+    this.employees.forEach((emp, id) => trainedSkills.set(id, new Set(emp.initialSkills)));
     
     const employeeStates = new Map();
     this.employees.forEach((emp, id) => employeeStates.set(id, new EmployeeState()));
 
     // Process days in chronological order
     for (const day of this.days) {
-      const fixedCost = this.organization.fixedDailyCost; //
+      const fixedCost = this.organization.fixedCost; //
       const shifts = schedule.get(day.id) || [];
 
-      if (!day.isOpen) {
+      if (day.isClosed) {
         totalScore -= fixedCost; //
+        if (dayLog) dayLog.push({ dayId: day.id, capacity: 0, payroll: 0, profit: -fixedCost, trainedCount: countTrained(trainedSkills) });
         continue;
       }
 
@@ -510,7 +664,7 @@ class CodeBashSolver {
         // 1. Promote employees who learned skills *last* hour
         if (newSkillsLearned.size > 0) {
           for (const [empId, skill] of newSkillsLearned) {
-            simEmployees.get(empId).knownSkills.add(skill);
+            trainedSkills.get(empId).add(skill);
           }
           newSkillsLearned.clear();
         }
@@ -523,8 +677,8 @@ class CodeBashSolver {
           const shiftsForSkill = activeShifts.filter(s => s.skill === skill);
           if (shiftsForSkill.length === 0) continue; //
 
-          const trainedEmployees = shiftsForSkill.filter(s => simEmployees.get(s.employeeId).knownSkills.has(skill));
-          const untrainedEmployees = shiftsForSkill.filter(s => !simEmployees.get(s.employeeId).knownSkills.has(skill));
+          const trainedEmployees = shiftsForSkill.filter(s => trainedSkills.get(s.employeeId).has(skill));
+          const untrainedEmployees = shiftsForSkill.filter(s => !trainedSkills.get(s.employeeId).has(skill));
 
           if (trainedEmployees.length > 0) {
             achievedSkillHours += 1; //
@@ -547,7 +701,7 @@ class CodeBashSolver {
             dailyPayroll += employee.salaryPerHour; //
           } else {
             const overtimePay = Math.floor(
-              employee.salaryPerHour * this.organization.overtimeModifierPercent / 100
+              employee.salaryPerHour * this.organization.overtimeMod / 100
             ); //
             dailyPayroll += overtimePay;
           }
@@ -558,8 +712,8 @@ class CodeBashSolver {
         const learners = [];
 
         for (const shift of activeShifts) {
-          const employee = simEmployees.get(shift.employeeId);
-          if (employee.knownSkills.has(shift.skill)) {
+          const employee = this.employees.get(shift.employeeId);
+          if (trainedSkills.get(shift.employeeId).has(shift.skill)) {
             // This employee is a potential teacher
             const currentMax = teachersBySkill.get(shift.skill) || 0;
             if (employee.teachingRate > currentMax) {
@@ -581,7 +735,7 @@ class CodeBashSolver {
           const pointsGained = learner.learningRate * multiplier; //
           
           // Check if already trained this simulation
-          if (!simEmployees.get(learner.id).knownSkills.has(learnerShift.skill)) {
+          if (!trainedSkills.get(learner.id).has(learnerShift.skill)) {
             state.addTrainingPoints(learnerShift.skill, pointsGained);
             
             if (state.getTrainingPoints(learnerShift.skill) >= 1000) {
@@ -593,11 +747,14 @@ class CodeBashSolver {
       } // --- End of hourly loop ---
 
       // Calculate final day profit
-      const capacityPercent = day.totalRequiredSkillHours > 0 ? (achievedSkillHours / day.totalRequiredSkillHours) : 0; //
-      const revenue = day.dailyRevenue * (capacityPercent ** 2); //
+      const capacityPercent = day.totalSkillHours() > 0 ? (achievedSkillHours / day.totalSkillHours()) : 0; //
+      const revenue = day.revenue * (capacityPercent ** 2); //
       const dailyProfit = revenue - dailyPayroll - fixedCost;
 
       totalScore += dailyProfit;
+      if (dayLog) {
+        dayLog.push({ dayId: day.id, capacity: capacityPercent, payroll: dailyPayroll, profit: dailyProfit, trainedCount: countTrained(trainedSkills) });
+      }
     } // --- End of daily loop ---
 
     console.log(`Calculation complete. Total Score: ${totalScore}`);
@@ -612,19 +769,9 @@ class CodeBashSolver {
    * @returns {string}
    */
   formatOutput(schedule) {
-    const outputLines = [];
     // Iterate in order of days
-    for (const day of this.days) {
-      const shifts = schedule.get(day.id) || [];
-      
-      if (shifts.length === 0) {
-        outputLines.push(`${day.id} _`); //
-      } else {
-        const shiftStrings = shifts.map(s => s.toString());
-        outputLines.push(`${day.id} ${shiftStrings.join(' ')}`); //
-      }
-    }
-    return outputLines.join('\n');
+    const ordered = new Map(this.days.map(day => [day.id, schedule.get(day.id) || []]));
+    return formatOutput(ordered);
   }
 
   // --- 6. MAIN EXECUTION ---
@@ -661,18 +808,41 @@ class CodeBashSolver {
       console.error(`Failed to write output file: ${e.message}`);
     }
   }
+
+  /**
+   * Validates and scores an existing schedule file instead of generating one.
+   * @param {string} inputFilePath
+   * @param {string} scheduleFilePath
+   * @returns {number|null} The score, or null if the schedule is unusable
+   */
+  evaluate(inputFilePath, scheduleFilePath) {
+    this.parseInput(inputFilePath);
+
+    const { schedule, problems } = this.parseOutput(scheduleFilePath);
+    if (problems.some(p => p.severity === 'error') || !this.validateSchedule(schedule)) {
+      console.error('Schedule is invalid; not scoring it.');
+      return null;
+    }
+
+    const score = this.calculateScore(schedule);
+    console.log(`Final Score: ${score}`);
+    return score;
+  }
 }
 
 // --- SCRIPT ENTRY POINT ---
 
 function main() {
   const args = process.argv.slice(2);
+  const evaluateOnly = args[0] === '--evaluate';
+  if (evaluateOnly) args.shift();
   const inputFilePath = args[0];
   const outputFilePath = args[1];
 
   if (!inputFilePath || !outputFilePath) {
     console.error('Error: You must provide an input and output file path.');
     console.log('Usage: node solve.js <input_file_F_Decade.txt> <output_file.txt>');
+    console.log('       node solve.js --evaluate <input_file.txt> <existing_schedule.txt>');
     process.exit(1);
   }
   
@@ -680,9 +850,28 @@ function main() {
       console.error(`Error: Input file not found at ${inputFilePath}`);
       process.exit(1);
   }
+  if (evaluateOnly && !fs.existsSync(outputFilePath)) {
+      console.error(`Error: Schedule file not found at ${outputFilePath}`);
+      process.exit(1);
+  }
 
   const solver = new CodeBashSolver();
-  solver.run(inputFilePath, outputFilePath);
+  try {
+    if (evaluateOnly) {
+      if (solver.evaluate(inputFilePath, outputFilePath) === null) process.exit(1);
+    } else {
+      solver.run(inputFilePath, outputFilePath);
+    }
+  } catch (e) {
+    if (!(e instanceof InputParseError)) throw e;
+    console.error(`Error parsing input file: ${inputFilePath}`);
+    e.diagnostics.forEach(d => console.error(`  ${inputFilePath}:${formatDiagnostic(d)}`));
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
\ No newline at end of file
+module.exports = { CodeBashSolver, EmployeeState };
\ No newline at end of file
@@ -1,4 +1,6 @@
 const fs = require('fs');
+const { readInput } = require('./lib/inputParser');
+const { coveredSlots, skillDemand } = require('./lib/skillDemand');
 
 /**
  * Classic Chocolate Chip Cookies Recipe
@@ -28,9 +30,16 @@ const fs = require('fs');
  */
 
 class Scheduler {
-  constructor() {
-    this.overtimeModifier = 0;
-    this.fixedDailyCost = 0;
+  /**
+   * @param {{beamWidth?: number}} [options] beamWidth: partial assignments kept per day;
+   *     1 keeps the first sorted candidates (no beam search)
+   */
+  constructor({ beamWidth = 1 } = {}) {
+    if (!(beamWidth >= 1)) {
+      throw new Error(`Beam width must be at least 1, got ${beamWidth}`);
+    }
+    this.beamWidth = beamWidth;
+    this.organization = null;
     this.days = [];
     this.employees = [];
     this.schedule = [];
@@ -38,52 +47,14 @@ class Scheduler {
   }
 
   parseInput(filename) {
-    const content = fs.readFileSync(filename, 'utf-8');
-    const lines = content.trim().split('\n');
-    let idx = 0;
-
-    // Parse organization settings
-    const [overtimeStr, fixedCostStr] = lines[idx++].split(' ');
-    this.overtimeModifier = parseInt(overtimeStr);
-    this.fixedDailyCost = parseInt(fixedCostStr);
-
-    // Parse number of days
-    const numDays = parseInt(lines[idx++]);
-
-    // Parse days
-    for (let i = 0; i < numDays; i++) {
-      const parts = lines[idx++].split(' ');
-      const dayId = parseInt(parts[0]);
-      
-      if (parts.length === 1) {
-        this.days.push({ id: dayId, closed: true });
-      } else {
-        const start = parseInt(parts[1]);
-        const end = parseInt(parts[2]);
-        const revenue = parseInt(parts[3]);
-        const skills = parts[4].split(',').map(s => s.trim());
-        this.days.push({ id: dayId, closed: false, start, end, revenue, skills });
-      }
-    }
-
-    // Parse employees
-    while (idx < lines.length) {
-      const parts = lines[idx++].split(' ');
-      const employee = {
-        id: parseInt(parts[0]),
-        maxHours: parseInt(parts[1]),
-        salary: parseInt(parts[2]),
-        learningRate: parseInt(parts[3]),
-        teachingRate: parseInt(parts[4]),
-        skills: new Set(parts[5] === '_' ? [] : parts[5].split(',')),
-        vacationSet: new Set(parts[6] === '_' ? [] : parts[6].split(',').map(Number))
-      };
-      this.employees.push(employee);
-    }
+    const instance = readInput(filename);
+    this.organization = instance.organization;
+    this.days = instance.days;
+    this.employees = instance.employees;
 
     // Initialize employee states for each day
     this.employeeStates = this.employees.map(emp => ({
-      skills: new Set(emp.skills),
+      skills: new Set(emp.initialSkills),
       trainingProgress: {},
       hoursThisWeek: Array(this.days.length).fill(0)
     }));
@@ -95,7 +66,7 @@ class Scheduler {
     for (let dayIdx = 0; dayIdx < this.days.length; dayIdx++) {
       const day = this.days[dayIdx];
       
-      if (day.closed) {
+      if (day.isClosed) {
         this.schedule[dayIdx] = [];
         continue;
       }
@@ -107,13 +78,16 @@ class Scheduler {
   }
 
   scheduleDay(dayIdx, day) {
+    if (this.beamWidth > 1) {
+      return this.beamScheduleDay(dayIdx, day);
+    }
     const shifts = [];
     const weekStart = Math.floor(dayIdx / 7) * 7;
     
     // Build skill coverage map
     const skillHourNeeds = {};
     for (let hour = day.start; hour < day.end; hour++) {
-      for (const skill of day.skills) {
+      for (const skill of day.requiredSkills) {
         const key = `${hour}-${skill}`;
         if (!skillHourNeeds[key]) {
           skillHourNeeds[key] = { hour, skill, coverage: 0, assigned: [] };
@@ -124,14 +98,14 @@ class Scheduler {
     // Get available employees sorted by effectiveness
     const candidates = this.employees
       .map((emp, idx) => {
-        if (emp.vacationSet.has(dayIdx)) return null;
+        if (emp.vacationDays.has(day.id)) return null;
         
         const state = this.employeeStates[idx];
         const weekHours = state.hoursThisWeek[dayIdx];
-        const isOvertime = weekHours >= emp.maxHours;
+        const isOvertime = weekHours >= emp.maxHoursPerWeek;
         const hourlyCost = isOvertime 
-          ? Math.floor(emp.salary * this.overtimeModifier / 100)
-          : emp.salary;
+          ? this.organization.overtimeRate(emp.salaryPerHour)
+          : emp.salaryPerHour;
         
         return { emp, empIdx: idx, state, weekHours, hourlyCost };
       })
@@ -139,15 +113,13 @@ class Scheduler {
 
     // Assign employees to cover skill-hours
     const hoursNeeded = day.end - day.start;
+    const used = new Set(); // An employee works one skill a day, so shifts never overlap
     
-    // Group skills to assign efficiently
-    const uniqueSkills = [...new Set(day.skills)];
-    
-    for (const skill of uniqueSkills) {
-      const skillCount = day.skills.filter(s => s === skill).length;
-      
+    // One pass per skill, filling all of its slots
+    for (const [skill, slots] of skillDemand(day.requiredSkills)) {
       // Sort candidates: skilled first, then by cost
       const sorted = candidates
+        .filter(c => !used.has(c.empIdx))
         .map(c => ({
           ...c,
           hasSkill: c.state.skills.has(skill),
@@ -159,24 +131,27 @@ class Scheduler {
           return a.hourlyCost - b.hourlyCost;
         });
 
-      // Assign enough employees to cover this skill
-      let needsCoverage = skillCount;
+      // Assign employees until every slot of this skill is covered
+      let trainedCount = 0;
+      let untrainedCount = 0;
       for (const candidate of sorted) {
-        if (needsCoverage <= 0) break;
+        if (coveredSlots(slots, trainedCount, untrainedCount) >= slots) break;
         
         const assignHours = Math.min(hoursNeeded, candidate.effectiveHours);
         if (assignHours > 0) {
           shifts.push({
-            empId: candidate.emp.id,
+            employeeId: candidate.emp.id,
             empIdx: candidate.empIdx,
             start: day.start,
             end: day.start + assignHours,
             skill: skill
           });
           
+          used.add(candidate.empIdx);
+
           // Update coverage
-          const coverageAmount = candidate.hasSkill ? 1 : 0.5;
-          needsCoverage -= coverageAmount;
+          if (candidate.hasSkill) trainedCount++;
+          else untrainedCount++;
           
           // Track hours used
           candidate.weekHours += assignHours;
@@ -188,6 +163,128 @@ class Scheduler {
     return shifts;
   }
 
+  /**
+   * Beam-search variant of scheduleDay. Partial assignments of the day are
+   * expanded skill by skill, one slot at a time: each one either takes one of
+   * the first `beamWidth` sorted candidates it has not used yet (skilled
+   * first, then by cost, as in scheduleDay) or leaves the skill's remaining
+   * slots open. A partial assignment scores the day's `revenue * capacity^2`
+   * minus its payroll. As capacity counts squared, a few workers score below
+   * none, so after every step the `beamWidth` partial assignments kept are
+   * the best if the skills still to come were covered for free. The empty
+   * assignment ranks low once slots are left open and may be pruned, so the
+   * day takes the best complete assignment or an explicit no-staff candidate
+   * (score 0), whichever scores more. An employee works one skill a day, as
+   * in scheduleDay. Unlike scheduleDay, shifts are not cut at 40 hours a
+   * week: every shift spans the opening hours, and its hours past
+   * max_hours_per_week are paid at the overtime rate (see shiftCost).
+   */
+  beamScheduleDay(dayIdx, day) {
+    const hoursNeeded = day.end - day.start;
+    const totalNeed = day.totalSkillHours();
+    const candidates = this.employees
+      .map((emp, idx) => {
+        if (emp.vacationDays.has(day.id)) return null;
+        const state = this.employeeStates[idx];
+        const cost = this.shiftCost(emp, state.hoursThisWeek[dayIdx], hoursNeeded);
+        return { emp, empIdx: idx, state, cost, hourlyCost: cost / hoursNeeded };
+      })
+      .filter(c => c !== null);
+
+    // Covered skill-hours of one skill's shifts
+    const covered = (skillShifts, slots) => {
+      let total = 0;
+      for (let hour = day.start; hour < day.end; hour++) {
+        const active = skillShifts.filter(s => hour < s.end);
+        const trained = active.filter(s => s.trained).length;
+        total += coveredSlots(slots, trained, active.length - trained);
+      }
+      return total;
+    };
+
+    // Score if `coveredHours` plus all the skill-hours after the current skill were covered
+    let laterNeed = totalNeed;
+    const potential = (coveredHours, payroll) => day.revenue * ((coveredHours + laterNeed) / totalNeed) ** 2 - payroll;
+
+    // {shifts, used, payroll, coveredBefore, skillShifts, open, score, rank}
+    let beam = [{ shifts: [], used: new Set(), payroll: 0, coveredBefore: 0, skillShifts: [], open: true, score: 0, rank: 0 }];
+    for (const [skill, slots] of skillDemand(day.requiredSkills)) {
+      const skillNeed = slots * hoursNeeded;
+      laterNeed -= skillNeed;
+      const sorted = candidates
+        .map(c => ({ ...c, hasSkill: c.state.skills.has(skill) }))
+        .sort((a, b) => {
+          if (a.hasSkill !== b.hasSkill) return b.hasSkill - a.hasSkill;
+          return a.hourlyCost - b.hourlyCost;
+        });
+      beam = beam.map(partial => ({ ...partial, skillShifts: [], open: true }));
+
+      while (beam.some(partial => partial.open)) {
+        const children = [];
+        for (const partial of beam) {
+          const skillCovered = covered(partial.skillShifts, slots);
+          const closed = { ...partial, open: false, rank: potential(partial.coveredBefore + skillCovered, partial.payroll) };
+          if (!partial.open || skillCovered >= skillNeed) {
+            children.push(closed);
+            continue;
+          }
+          children.push(closed); // leave the remaining slots open
+          const options = sorted.filter(c => !partial.used.has(c.empIdx)).slice(0, this.beamWidth);
+          for (const c of options) {
+            const shift = {
+              employeeId: c.emp.id,
+              empIdx: c.empIdx,
+              start: day.start,
+              end: day.end,
+              skill,
+              trained: c.hasSkill,
+            };
+            const skillShifts = [...partial.skillShifts, shift];
+            const payroll = partial.payroll + c.cost;
+            const capacity = (partial.coveredBefore + covered(skillShifts, slots)) / totalNeed;
+            children.push({
+              shifts: [...partial.shifts, shift],
+              used: new Set([...partial.used, c.empIdx]),
+              payroll,
+              coveredBefore: partial.coveredBefore,
+              skillShifts,
+              open: true,
+              score: day.revenue * capacity ** 2 - payroll,
+              rank: potential(partial.coveredBefore + covered(skillShifts, slots), payroll),
+            });
+          }
+        }
+
+        // Best first, one per set of assignments
+        const seen = new Set();
+        beam = children
+          .sort((a, b) => b.rank - a.rank)
+          .filter(partial => {
+            const key = `${partial.open} ` + partial.shifts.map(s => `${s.empIdx}-${s.skill}`).sort().join(' ');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .slice(0, this.beamWidth);
+      }
+      beam = beam.map(partial => ({ ...partial, coveredBefore: partial.coveredBefore + covered(partial.skillShifts, slots) }));
+    }
+
+    // The empty assignment may have been pruned, so no staff is a candidate of its own
+    const noStaff = { shifts: [], score: 0 };
+    const best = beam.reduce((a, b) => (b.score > a.score ? b : a), noStaff);
+    return best.shifts.map(({ trained, ...shift }) => shift);
+  }
+
+  /**
+   * Pay for `hours` more hours of an employee who has worked `weekHours`
+   * that week: base salary up to max_hours_per_week, overtime beyond it.
+   */
+  shiftCost(emp, weekHours, hours) {
+    const baseHours = Math.min(hours, Math.max(0, emp.maxHoursPerWeek - weekHours));
+    return baseHours * emp.salaryPerHour + (hours - baseHours) * this.organization.overtimeRate(emp.salaryPerHour);
+  }
+
   applyShifts(dayIdx, shifts) {
     const weekStart = Math.floor(dayIdx / 7) * 7;
     
@@ -246,7 +343,7 @@ class Scheduler {
       if (shifts.length === 0) {
         lines.push(`${day.id} _`);
       } else {
-        const tokens = shifts.map(s => `${s.empId}-${s.start}-${s.end}-${s.skill}`);
+        const tokens = shifts.map(s => `${s.employeeId}-${s.start}-${s.end}-${s.skill}`);
         lines.push(`${day.id} ${tokens.join(' ')}`);
       }
     }
@@ -257,11 +354,24 @@ class Scheduler {
 
 // Main execution
 if (require.main === module) {
-  const inputFile = process.argv[2] || 'examples/b_week.txt';
-  const outputFile = process.argv[3] || 'output.txt';
+  const args = [];
+  let beamWidth = 1;
+  for (let i = 2; i < process.argv.length; i++) {
+    if (process.argv[i] === '--beam') {
+      beamWidth = parseInt(process.argv[++i], 10);
+    } else {
+      args.push(process.argv[i]);
+    }
+  }
+  if (!(beamWidth >= 1) || args.length > 2) {
+    console.log('Usage: node rep_sonnet.js [--beam <k>] [input_file] [output_file]');
+    process.exit(1);
+  }
+  const inputFile = args[0] || 'examples/b_week.txt';
+  const outputFile = args[1] || 'output.txt';
 
   console.log('Parsing input...');
-  const scheduler = new Scheduler();
+  const scheduler = new Scheduler({ beamWidth });
   scheduler.parseInput(inputFile);
 
   console.log(`Loaded ${scheduler.days.length} days and ${scheduler.employees.length} employees`);
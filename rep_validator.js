@@ -1,124 +1,128 @@
-const fs = require('fs');
-const path = require('path');
-
-// --- Data Structures ---
-
-/**
- * Stores global cost and modifier settings.
- */
-class Organization {
-    constructor(overtimeModPercent, fixedCost) {
-        this.overtimeMod = parseInt(overtimeModPercent);
-        this.fixedCost = parseInt(fixedCost);
-    }
-}
+const { TRAINED_POINTS } = require('./lib/domain');
+const { InputParseError, formatDiagnostic, readInput } = require('./lib/inputParser');
+const { readOutput } = require('./lib/outputParser');
+const { formatCsv, formatProfit, formatTable } = require('./lib/reportTable');
+const { RULE_PROFILES, ScoringEngine, resolveProfile } = require('./lib/scoring');
+const { findShiftViolations } = require('./lib/shiftRules');
+const { optimalityGap, profitUpperBound } = require('./lib/upperBound');
 
 /**
- * Stores all information about a single calendar day.
+ * A rule violation or warning. `code` is stable and safe to match on in
+ * scripts; `message` is for people and may change.
+ * Codes: INPUT_INVALID, FILE_UNREADABLE, CLOSED_DAY_SHIFT, UNKNOWN_EMPLOYEE,
+ * VACATION_CONFLICT, OUTSIDE_OPENING, OVERLAP, plus the output parser codes
+ * (lib/outputParser.js) such as BAD_DASH_COUNT or MISSING_DAY.
+ * @typedef {object} Violation
+ * @property {string} code
+ * @property {number|null} dayId
+ * @property {number|null} employeeId
+ * @property {string|null} token The offending shift token, when there is one
+ * @property {string} message
  */
-class Day {
-    constructor(lineParts) {
-        this.id = parseInt(lineParts[0]);
-        this.isClosed = lineParts.length === 1;
-        this.start = this.isClosed ? 0 : parseInt(lineParts[1]);
-        this.end = this.isClosed ? 0 : parseInt(lineParts[2]);
-        this.revenue = this.isClosed ? 0 : parseInt(lineParts[3]);
-        
-        // Handle required_skills_csv
-        if (!this.isClosed && lineParts.length > 4) {
-            this.requiredSkills = lineParts[4].split(',');
-        } else {
-            this.requiredSkills = [];
-        }
-
-        this.duration = this.end - this.start;
-    }
-    
-    /**
-     * Calculates the denominator for capacity: duration * number of required skills.
-     */
-    totalSkillHours() {
-        if (this.isClosed) {
-            return 0;
-        }
-        return this.duration * this.requiredSkills.length;
-    }
-}
-
-/**
- * Stores employee base data, including initial skills and vacation days.
- */
-class Employee {
-    constructor(lineParts) {
-        this.id = parseInt(lineParts[0]);
-        this.maxHoursPerWeek = parseInt(lineParts[1]);
-        this.salaryPerHour = parseInt(lineParts[2]);
-        this.learningRate = parseInt(lineParts[3]);
-        this.teachingRate = parseInt(lineParts[4]);
-        
-        this.initialSkills = new Set();
-        if (lineParts[5] !== '_') {
-            lineParts[5].split(',').forEach(skill => this.initialSkills.add(skill));
-        }
-            
-        this.vacationDays = new Set();
-        if (lineParts[6] !== '_') {
-            lineParts[6].split(',').map(d => parseInt(d)).forEach(dayId => this.vacationDays.add(dayId));
-        }
-    }
-}
 
-/**
- * Represents a scheduled shift from the output file.
- */
-class Shift {
-    constructor(token) {
-        const parts = token.split('-');
-        this.employeeId = parseInt(parts[0]);
-        this.start = parseInt(parts[1]);
-        this.end = parseInt(parts[2]);
-        this.skill = parts[3];
-        this.duration = this.end - this.start;
-        
-        if (this.duration <= 0) {
-            throw new Error(`Shift duration is invalid or zero/negative: ${token}`);
-        }
-    }
-}
+// Columns of the per-day breakdown (see dayResults)
+const DAY_COLUMNS = [
+    { key: 'dayId', title: 'Day' },
+    { key: 'revenue', title: 'Revenue' },
+    { key: 'capacity', title: 'Capacity', digits: 4 },
+    { key: 'capacitySq', title: 'Capacity^2', digits: 4 },
+    { key: 'earned', title: 'Earned', digits: 2 },
+    { key: 'basePayroll', title: 'Base pay' },
+    { key: 'overtimePayroll', title: 'Overtime pay' },
+    { key: 'fixedCost', title: 'Fixed' },
+    { key: 'profit', title: 'Profit', digits: 2 },
+];
+
+// Columns of the per-employee ledger (see ledger)
+const WEEK_COLUMNS = [
+    { key: 'employeeId', title: 'Employee' },
+    { key: 'week', title: 'Week' },
+    { key: 'baseHours', title: 'Base h' },
+    { key: 'overtimeHours', title: 'Overtime h' },
+    { key: 'baseWages', title: 'Base wages' },
+    { key: 'overtimeWages', title: 'Overtime wages' },
+    { key: 'wages', title: 'Wages' },
+];
+const SKILL_COLUMNS = [
+    { key: 'employeeId', title: 'Employee' },
+    { key: 'skill', title: 'Skill' },
+    { key: 'points', title: 'Points', digits: 0 },
+    { key: 'missing', title: 'To trained', digits: 0 },
+    { key: 'trainedOn', title: 'Trained on day' },
+];
 
 // --- Core Validator Class ---
 
 class PlanningValidator {
-    constructor(inputPath, outputPath) {
+    /**
+     * @param {string} inputPath
+     * @param {string} outputPath
+     * @param {{quiet?: boolean, breakdown?: boolean, ledger?: boolean, profile?: string|object}} [options]
+     *     `quiet` suppresses all console output; `breakdown` and `ledger` add the
+     *     per-day and per-employee tables to the scorecard; `profile` picks the
+     *     scoring rules (see lib/scoring.js), 'official' by default
+     */
+    constructor(inputPath, outputPath, { quiet = false, breakdown = false, ledger = false, profile = 'official' } = {}) {
         this.inputPath = inputPath;
         this.outputPath = outputPath;
+        this.profile = profile;
+        // Fail on a bad profile before any file is read
+        resolveProfile(profile);
+        this.quiet = quiet;
+        this.breakdown = breakdown;
+        this.showLedger = ledger;
         
         // Data populated during parsing
+        this.instance = null;
         this.organization = null;
         this.days = {}; // {day_id: Day object}
         this.employees = {}; // {emp_id: Employee object}
         this.schedule = {}; // {day_id: list of Shift objects}
 
-        // Dynamic state for scoring
-        // {emp_id: {skill_name: points}}
-        this.skillPoints = {};
-        // {emp_id: hours} for current 7-day week
-        this.weeklyHours = {};
+        // Scoring state, created by validateAndScore
+        /** @type {ScoringEngine} */
+        this.engine = null;
+        // {emp_id: {weeks: {week: {baseHours, overtimeHours, baseWages, overtimeWages}},
+        //           trainedOn: {skill: day_id, or 'initial'}}}
+        this.ledger = {};
         
         // Results
         this.totalProfit = 0;
         this.totalPayroll = 0;
         this.totalRevenuePotential = 0;
+        // Upper bound on the official profit (lib/upperBound.js); null under other profiles
+        this.profitBound = null;
+        // Per-day figures in day order: [{dayId, revenue, capacity, capacitySq, earned,
+        // basePayroll, overtimePayroll, payroll, fixedCost, profit}]
+        this.dayResults = [];
         this.isValid = true;
+        /** @type {Violation[]} */
         this.validationErrors = [];
+        /** @type {Violation[]} Non-conforming but readable output; does not invalidate the schedule */
+        this.warnings = [];
+    }
+
+    /**
+     * Prints a report line unless the validator is quiet.
+     */
+    _print(message = '') {
+        if (!this.quiet) {
+            console.log(message);
+        }
     }
 
     /**
      * Records an error and flags the schedule as invalid.
+     * The same code for the same day, employee and token is recorded once.
+     * @param {string} code
+     * @param {string} message
+     * @param {{dayId?: number|null, employeeId?: number|null, token?: string|null}} [where]
      */
-    _logError(message) {
-        if (!this.validationErrors.includes(message)) {
-            this.validationErrors.push(message);
+    _logError(code, message, { dayId = null, employeeId = null, token = null } = {}) {
+        const duplicate = this.validationErrors.some(e =>
+            e.code === code && e.dayId === dayId && e.employeeId === employeeId && e.token === token);
+        if (!duplicate) {
+            this.validationErrors.push({ code, dayId, employeeId, token, message });
         }
         this.isValid = false;
     }
@@ -129,411 +133,323 @@ class PlanningValidator {
      * Parses the input file into internal data structures.
      */
     parseInput() {
-        console.log(`--- Parsing Input File: ${this.inputPath} ---`);
-        let lines;
+        this._print(`--- Parsing Input File: ${this.inputPath} ---`);
+        let instance;
         try {
-            const content = fs.readFileSync(this.inputPath, 'utf8').trim();
-            lines = content.split('\n').filter(line => line.trim() !== '');
+            instance = readInput(this.inputPath, { strict: true });
         } catch (e) {
-            this._logError(`Input file not found or inaccessible: ${this.inputPath}`);
-            return;
-        }
-        
-        // Organization
-        const orgLine = lines[0].split(/\s+/);
-        if (orgLine.length !== 2) {
-            this._logError("Invalid organization line format.");
+            if (e instanceof InputParseError) {
+                // Report every problem in the file, not just the first one
+                e.diagnostics.forEach(d => this._logError('INPUT_INVALID', `Input ${formatDiagnostic(d)}`, { token: d.field }));
+            } else {
+                this._logError('FILE_UNREADABLE', `Input file not found or inaccessible: ${this.inputPath}`);
+            }
             return;
         }
-        this.organization = new Organization(...orgLine);
 
-        // Days
-        const numDays = parseInt(lines[1].trim());
-        const dayLines = lines.slice(2, 2 + numDays);
-            
-        if (dayLines.length !== numDays) {
-            this._logError(`Expected ${numDays} days, found ${dayLines.length} lines.`);
-            return;
-        }
-            
-        for (const line of dayLines) {
-            const day = new Day(line.split(/\s+/));
+        this.instance = instance;
+        this.organization = instance.organization;
+        for (const day of instance.days) {
             this.days[day.id] = day;
         }
-
-        // Employees
-        const employeeLines = lines.slice(2 + numDays);
-        for (const line of employeeLines) {
-            const emp = new Employee(line.split(/\s+/));
+        for (const emp of instance.employees) {
             this.employees[emp.id] = emp;
             
-            // Initialize skill points with initial skills (1000 points)
-            this.skillPoints[emp.id] = this.skillPoints[emp.id] || {};
+            this.ledger[emp.id] = { weeks: {}, trainedOn: {} };
             emp.initialSkills.forEach(skill => {
-                 this.skillPoints[emp.id][skill] = 1000;
+                 this.ledger[emp.id].trainedOn[skill] = 'initial';
             });
         }
         
-        console.log(`Input successfully parsed: ${Object.keys(this.days).length} days, ${Object.keys(this.employees).length} employees.`);
+        this._print(`Input successfully parsed: ${Object.keys(this.days).length} days, ${Object.keys(this.employees).length} employees.`);
     }
 
     /**
      * Parses the output schedule file.
      */
     parseOutput() {
-        console.log(`--- Parsing Output File: ${this.outputPath} ---`);
-        let outputLines;
+        this._print(`--- Parsing Output File: ${this.outputPath} ---`);
+        if (!this.instance) {
+            // Nothing to check the schedule against; the input errors are already logged
+            return;
+        }
+        let parsed;
         try {
-            const content = fs.readFileSync(this.outputPath, 'utf8').trim();
-            outputLines = content.split('\n').filter(line => line.trim() !== '');
+            parsed = readOutput(this.outputPath, this.instance);
         } catch (e) {
-            this._logError(`Output file not found or inaccessible: ${this.outputPath}`);
+            this._logError('FILE_UNREADABLE', `Output file not found or inaccessible: ${this.outputPath}`);
             return;
         }
 
-        const expectedDayCount = Object.keys(this.days).length;
-        if (outputLines.length !== expectedDayCount) {
-             this._logError(`Output line count (${outputLines.length}) does not match input day count (${expectedDayCount}).`);
-             return;
-        }
-
-        for (const line of outputLines) {
-            const parts = line.split(/\s+/);
-            if (parts.length === 0) continue;
-
-            const dayId = parseInt(parts[0]);
-            
-            if (isNaN(dayId) || dayId < 0) {
-                this._logError(`Malformed day_id in output line: '${parts[0]}'`);
-                continue;
-            }
-            
-            if (!this.days[dayId]) {
-                this._logError(`Output references non-existent day ID: ${dayId}`);
-                continue;
+        // Every token that could be read is kept, so later checks still see the rest of the day
+        for (const problem of parsed.problems) {
+            // The code is stored on its own, so the message leaves it out
+            const location = problem.line > 0 ? `${problem.line}:${problem.column}` : 'file';
+            const message = `Output ${location} ${problem.message}`;
+            const where = { dayId: problem.dayId, employeeId: problem.employeeId, token: problem.token || null };
+            if (problem.severity === 'warning') {
+                this.warnings.push({ code: problem.code, ...where, message });
+            } else {
+                this._logError(problem.code, message, where);
             }
+        }
 
-            // Handle closed or no-shift days
-            if (parts.length === 2 && parts[1] === '_') {
-                this.schedule[dayId] = [];
-                continue;
-            }
-            
-            const day = this.days[dayId];
-            const shiftTokens = parts.slice(1);
-            
+        for (const [dayId, shifts] of parsed.schedule) {
             // Check for closed day violation
-            if (day.isClosed && shiftTokens.length > 0) {
-                this._logError(`Day ${dayId} is closed but has shifts assigned.`);
+            if (this.days[dayId].isClosed && shifts.length > 0) {
+                shifts.forEach(shift => this._logError('CLOSED_DAY_SHIFT', `Day ${dayId} is closed but has shifts assigned.`,
+                    { dayId, employeeId: shift.employeeId, token: shift.toString() }));
                 this.schedule[dayId] = [];
                 continue;
             }
-
-            // Parse shifts
-            const shifts = [];
-            for (const token of shiftTokens) {
-                try {
-                    shifts.push(new Shift(token));
-                } catch (e) {
-                    this._logError(`Malformed shift token on Day ${dayId}: '${token}'. Error: ${e.message}`);
-                }
-            }
-            
             this.schedule[dayId] = shifts;
         }
         
-        console.log("Output successfully parsed and mapped to schedule.");
+        this._print("Output successfully parsed and mapped to schedule.");
     }
 
-    // --- 2. Validity Checks & Scoring Helpers ---
-
-    /**
-     * Checks if an employee is trained (1000+ points) in a skill.
-     */
-    isTrained(empId, skill) {
-        // Ensure the employee's skill map exists
-        this.skillPoints[empId] = this.skillPoints[empId] || {};
-        return (this.skillPoints[empId][skill] || 0) >= 1000;
-    }
+    // --- 2. Validity Checks ---
 
     /**
-     * Calculates the payroll cost for a shift, accounting for weekly limits and overtime.
+     * Adds a shift's hours and wages to the employee's ledger week.
+     * Weeks are numbered like the engine's weekly budget (days 0-6 are week 0
+     * under the official rules).
+     * @param {number} dayId
+     * @param {import('./lib/scoring').ShiftPay} pay
      */
-    calculatePayroll(empId, shiftDuration) {
-        const employee = this.employees[empId];
-        
-        // Ensure weekly hours tracking is initialized
-        this.weeklyHours[empId] = this.weeklyHours[empId] || 0;
-        
-        // Hours remaining until max_hours_per_week is hit
-        const baseHoursRemaining = employee.maxHoursPerWeek - this.weeklyHours[empId];
-        
-        const baseHours = Math.min(shiftDuration, Math.max(0, baseHoursRemaining));
-        const overtimeHours = shiftDuration - baseHours;
-        
-        // Overtime calculation: floor(salary * modifier / 100)
-        // Note: Using Math.floor is crucial as per competition rules.
-        const overtimeRate = Math.floor(employee.salaryPerHour * this.organization.overtimeMod / 100);
-
-        const cost = (baseHours * employee.salaryPerHour) + (overtimeHours * overtimeRate);
-        
-        // Update weekly hours for the employee (state change)
-        this.weeklyHours[empId] += shiftDuration;
-        
-        return cost;
+    recordWages(dayId, pay) {
+        const weeks = this.ledger[pay.employeeId].weeks;
+        const week = this.engine.weekOf(dayId);
+        weeks[week] = weeks[week] || { baseHours: 0, overtimeHours: 0, baseWages: 0, overtimeWages: 0 };
+        weeks[week].baseHours += pay.baseHours;
+        weeks[week].overtimeHours += pay.overtimeHours;
+        weeks[week].baseWages += pay.baseCost;
+        weeks[week].overtimeWages += pay.overtimeCost;
     }
 
     /**
-     * Calculates the achieved capacity (Cd) and total payroll (Pd) for a day.
-     * Also runs key validity checks for the day.
+     * Runs the per-shift validity checks for an open day: unknown employees,
+     * vacations, opening hours and overlaps.
      */
-    calculateCapacity(dayId, shifts) {
+    checkShifts(dayId, shifts) {
         const day = this.days[dayId];
-        
-        // Track hourly coverage: {hour: {skill: [trained_count, untrained_count]}}
-        const coverageMap = {}; 
-
-        // Check for overlapping shifts and time/vacation violations
-        const employeeShiftsToday = {}; // {emp_id: [[start, end], ...]}
-        
-        let payrollD = 0;
-        
-        for (const shift of shifts) {
-            const emp = this.employees[shift.employeeId];
-            if (!emp) {
-                this._logError(`Day ${dayId}: Shift uses non-existent employee ID ${shift.employeeId}`);
-                continue;
-            }
-            
-            // Validity Check 1: Vacation
-            if (emp.vacationDays.has(dayId)) {
-                this._logError(`Day ${dayId}: Employee ${shift.employeeId} scheduled on vacation day.`);
-            }
-            
-            // Validity Check 2: Shift outside store hours
-            if (shift.start < day.start || shift.end > day.end) {
-                this._logError(`Day ${dayId}: Shift ${shift.employeeId}-${shift.start}-${shift.end} is outside store hours (${day.start}-${day.end}).`);
-            }
-
-            // Validity Check 3: Overlapping shifts for same employee
-            employeeShiftsToday[shift.employeeId] = employeeShiftsToday[shift.employeeId] || [];
-            let overlap = false;
-            for (const [sStart, sEnd] of employeeShiftsToday[shift.employeeId]) {
-                // Check for overlap: max(start1, start2) < min(end1, end2)
-                if (Math.max(shift.start, sStart) < Math.min(shift.end, sEnd)) {
-                    this._logError(`Day ${dayId}: Employee ${shift.employeeId} has overlapping shifts.`);
-                    overlap = true;
-                    break;
-                }
-            }
-            if (!overlap) {
-                employeeShiftsToday[shift.employeeId].push([shift.start, shift.end]);
-            }
-            
-            // --- Coverage Calculation & Payroll ---
-            
-            // Add to daily payroll (state change happens inside calculatePayroll)
-            payrollD += this.calculatePayroll(shift.employeeId, shift.duration);
-            
-            const isEmpTrained = this.isTrained(shift.employeeId, shift.skill);
-            
-            // Update hourly coverage map
-            for (let h = shift.start; h < shift.end; h++) {
-                coverageMap[h] = coverageMap[h] || {};
-                coverageMap[h][shift.skill] = coverageMap[h][shift.skill] || [0, 0]; // [trained_count, untrained_count]
-
-                if (isEmpTrained) {
-                    coverageMap[h][shift.skill][0] += 1; // Trained count
-                } else {
-                    coverageMap[h][shift.skill][1] += 1; // Untrained count
-                }
-            }
-        }
-
-        // Calculate achieved skill-hours (numerator)
-        let achievedSkillHours = 0;
-        
-        // Track max teaching rate for training update: {hour: {skill: max_teaching_rate}}
-        const hourlyTeachers = {}; 
-
-        for (const skill of day.requiredSkills) {
-            for (let h = day.start; h < day.end; h++) {
-                const hourCoverage = coverageMap[h] && coverageMap[h][skill] ? coverageMap[h][skill] : [0, 0];
-                const trainedCount = hourCoverage[0];
-                const untrainedCount = hourCoverage[1];
-                let hourlyCoverage = 0.0;
-                
-                if (trainedCount > 0) {
-                    hourlyCoverage = 1.0;
-                    
-                    // Track max teaching rate for training update
-                    let maxRate = 0;
-                    for (const shift of shifts) {
-                        if (shift.skill === skill && shift.start <= h && h < shift.end && this.isTrained(shift.employeeId, skill)) {
-                            maxRate = Math.max(maxRate, this.employees[shift.employeeId].teachingRate);
-                        }
-                    }
-                    hourlyTeachers[h] = hourlyTeachers[h] || {};
-                    hourlyTeachers[h][skill] = maxRate;
-                    
-                } else if (untrainedCount === 1) {
-                    hourlyCoverage = 0.5;
-                } else if (untrainedCount > 1) {
-                    hourlyCoverage = 1.0;
-                }
-                    
-                achievedSkillHours += hourlyCoverage;
-            }
-        }
-
-        // Calculate final capacity
-        const totalNeed = day.totalSkillHours();
-        const capacityD = totalNeed > 0 ? achievedSkillHours / totalNeed : 0.0;
-
-        return { capacityD, payrollD, hourlyTeachers };
-    }
-    
-    /**
-     * Updates employee skill points based on shifts and teaching bonuses.
-     */
-    updateTraining(dayId, shifts, hourlyTeachers) {
-        
-        // Track which employees worked which skill for which hour
-        // {emp_id: {skill: [hours]}}
-        const empSkillHours = {}; 
-
-        for (const shift of shifts) {
-            empSkillHours[shift.employeeId] = empSkillHours[shift.employeeId] || {};
-            empSkillHours[shift.employeeId][shift.skill] = empSkillHours[shift.employeeId][shift.skill] || [];
-            
-            for (let h = shift.start; h < shift.end; h++) {
-                empSkillHours[shift.employeeId][shift.skill].push(h);
-            }
-        }
-
-        // Apply training gain
-        for (const empId in empSkillHours) {
-            if (!empSkillHours.hasOwnProperty(empId)) continue;
-            
-            const employee = this.employees[empId];
-            const skillsWorked = empSkillHours[empId];
-            
-            for (const skill in skillsWorked) {
-                if (!skillsWorked.hasOwnProperty(skill)) continue;
-
-                // Only apply learning if not already trained
-                if (this.isTrained(parseInt(empId), skill)) {
-                    continue;
-                }
-                
-                let totalGain = 0;
-                for (const h of skillsWorked[skill]) {
-                    const baseGain = employee.learningRate;
-                    
-                    // Check for teaching bonus
-                    const teacherRate = (hourlyTeachers[h] && hourlyTeachers[h][skill]) || 0;
-                    
-                    const gain = teacherRate > 0 ? baseGain * teacherRate : baseGain;
-                        
-                    totalGain += gain;
-                }
-                
-                this.skillPoints[empId][skill] = (this.skillPoints[empId][skill] || 0) + totalGain;
-            }
+        const messages = {
+            UNKNOWN_EMPLOYEE: shift => `Day ${dayId}: Shift uses non-existent employee ID ${shift.employeeId}`,
+            VACATION_CONFLICT: shift => `Day ${dayId}: Employee ${shift.employeeId} scheduled on vacation day.`,
+            OUTSIDE_OPENING: shift => `Day ${dayId}: Shift ${shift.employeeId}-${shift.start}-${shift.end} is outside store hours (${day.start}-${day.end}).`,
+            OVERLAP: shift => `Day ${dayId}: Employee ${shift.employeeId} has overlapping shifts.`,
+        };
+
+        // The rules themselves live in lib/shiftRules.js
+        for (const { code, shift } of findShiftViolations(this.instance, day, shifts)) {
+            this._logError(code, messages[code](shift), { dayId, employeeId: shift.employeeId, token: shift.toString() });
         }
     }
 
     /**
      * Main loop to process all days, check validity, and calculate score.
+     * Scoring itself is done by the engine in lib/scoring.js under this
+     * validator's rule profile.
      */
     validateAndScore() {
         
-        // Check initial parsing validity
-        if (!this.isValid) {
-            return;
-        }
-
         // Days must be processed in strict order (0, 1, 2, ...)
         const dayIds = Object.keys(this.days).map(id => parseInt(id)).sort((a, b) => a - b);
+        this.engine = this.instance ? new ScoringEngine(this.instance, this.profile) : null;
         
-        for (const dayId of dayIds) {
+        // Skip the simulation if parsing already failed, but still report the errors
+        for (const dayId of this.isValid ? dayIds : []) {
             const day = this.days[dayId];
             const shifts = this.schedule[dayId] || [];
             
-            // --- 1. Weekly Hour Reset ---
-            if (dayId % 7 === 0) {
-                // Reset weekly hours at the start of day 0, 7, 14, etc.
-                this.weeklyHours = {};
+            // --- 1. Run Checks ---
+            if (!day.isClosed) {
+                this.checkShifts(dayId, shifts);
             }
 
-            let profitD = 0;
-            let capacityD = 0.0;
-            let payrollD = 0;
-            let hourlyTeachers = null;
-            
-            // --- 2. Calculate Day Metrics & Run Checks ---
-            if (day.isClosed) {
-                // Closed day: C=0, R=0, P=0. Profit = -F
-                profitD = -this.organization.fixedCost;
-            } else {
-                // Open Day
-                const metrics = this.calculateCapacity(dayId, shifts);
-                capacityD = metrics.capacityD;
-                payrollD = metrics.payrollD;
-                hourlyTeachers = metrics.hourlyTeachers;
-                
-                // Score calculation: Profit = Revenue * Capacity^2 - Payroll - FixedCost
-                const capacitySq = capacityD ** 2;
-                profitD = (day.revenue * capacitySq) - payrollD - this.organization.fixedCost;
-                
-                // Update employee skills based on the schedule
-                this.updateTraining(dayId, shifts, hourlyTeachers);
-            }
+            // --- 2. Calculate Day Metrics ---
+            // Profit = Revenue * Capacity^2 - Payroll - FixedCost; closed days cost only F
+            const { pay, trained, ...result } = this.engine.scoreDay(day, shifts);
+            pay.forEach(p => this.recordWages(dayId, p));
+            trained.forEach(t => { this.ledger[t.employeeId].trainedOn[t.skill] = dayId; });
 
             // --- 3. Accumulate Totals ---
-            this.totalProfit += profitD;
-            this.totalPayroll += payrollD;
+            this.dayResults.push(result);
+            this.totalProfit += result.profit;
+            this.totalPayroll += result.payroll;
             this.totalRevenuePotential += day.revenue;
         }
 
+        // The bound is only reported next to a valid official score
+        if (this.isValid && this.instance && this.profile === 'official') {
+            this.profitBound = profitUpperBound(this.instance).total;
+        }
+
         // --- 4. Final Output ---
         
-        console.log("\n" + "=".repeat(50));
-        console.log("  SCORECARD & VALIDATION RESULTS");
-        console.log("=".repeat(50));
+        this._print("\n" + "=".repeat(50));
+        this._print("  SCORECARD & VALIDATION RESULTS");
+        this._print("=".repeat(50));
         
         if (this.isValid) {
-            console.log("STATUS: VALID SCHEDULE");
-            console.log("-".repeat(50));
-            console.log(`Total Profit (Final Score): ${this.totalProfit.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`);
-            console.log(`Total Payroll Cost: ${this.totalPayroll.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`);
-            console.log(`Total Revenue Potential: ${this.totalRevenuePotential.toLocaleString()}`);
-            console.log(`Total Fixed Costs Incurred: ${(dayIds.length * this.organization.fixedCost).toLocaleString()}`);
+            this._print("STATUS: VALID SCHEDULE");
+            this._print("-".repeat(50));
+            if (this.profile !== 'official') {
+                this._print(`Rule profile: ${typeof this.profile === 'string' ? this.profile : 'custom'}`);
+            }
+            this._print(`Total Profit (Final Score): ${formatProfit(this.totalProfit)}`);
+            this._print(`Total Payroll Cost: ${formatProfit(this.totalPayroll)}`);
+            this._print(`Total Revenue Potential: ${this.totalRevenuePotential.toLocaleString()}`);
+            this._print(`Total Fixed Costs Incurred: ${(dayIds.length * this.organization.fixedCost).toLocaleString()}`);
+            if (this.profitBound !== null) {
+                const gap = optimalityGap(this.totalProfit, this.profitBound);
+                const percent = gap === null ? 'n/a' : `${gap.toFixed(2)}%`;
+                this._print(`score ${formatProfit(this.totalProfit)}, bound ${formatProfit(this.profitBound)}, gap ${formatProfit(this.profitBound - this.totalProfit)} (${percent})`);
+            }
         } else {
-            console.log("STATUS: INVALID SCHEDULE (Score: 0)");
-            console.log("-".repeat(50));
-            console.log("ERRORS FOUND:");
+            this._print("STATUS: INVALID SCHEDULE (Score: 0)");
+            this._print("-".repeat(50));
+            this._print("ERRORS FOUND:");
             for (let i = 0; i < this.validationErrors.length; i++) {
-                console.log(`  ${i + 1}. ${this.validationErrors[i]}`);
+                this._print(`  ${i + 1}. [${this.validationErrors[i].code}] ${this.validationErrors[i].message}`);
             }
-            console.log("-".repeat(50));
-            console.log("Score is 0 due to invalidity.");
+            this._print("-".repeat(50));
+            this._print("Score is 0 due to invalidity.");
         }
+
+        if (this.breakdown && this.dayResults.length > 0) {
+            this._print("\nPER-DAY BREAKDOWN:");
+            this._print(this.formatDayTable());
+        }
+
+        if (this.showLedger && this.dayResults.length > 0) {
+            this._print("\nPER-EMPLOYEE LEDGER:");
+            this._print(this.formatLedger());
+        }
+
+        if (this.warnings.length > 0) {
+            this._print("WARNINGS (non-conforming output):");
+            for (let i = 0; i < this.warnings.length; i++) {
+                this._print(`  ${i + 1}. [${this.warnings[i].code}] ${this.warnings[i].message}`);
+            }
+        }
+    }
+
+    // --- 3. Reports ---
+
+    /**
+     * Everything the scorecard shows, as plain data for `--json` and scripts.
+     * `score` is 0 for an invalid schedule; `totals.profit` is the simulated
+     * profit either way. `bound` is the official profit's upper bound
+     * (null for an invalid schedule) and `gap` the score's distance from it in
+     * percent (null when the bound is not positive).
+     * @returns {object}
+     */
+    getResult() {
+        return {
+            valid: this.isValid,
+            score: this.isValid ? this.totalProfit : 0,
+            totals: {
+                profit: this.totalProfit,
+                payroll: this.totalPayroll,
+                revenuePotential: this.totalRevenuePotential,
+                fixedCosts: this.organization ? this.dayResults.length * this.organization.fixedCost : 0,
+            },
+            bound: this.profitBound,
+            gap: this.profitBound !== null ? optimalityGap(this.totalProfit, this.profitBound) : null,
+            errors: this.validationErrors,
+            warnings: this.warnings,
+            days: this.dayResults,
+        };
+    }
+
+    /**
+     * Per-day breakdown as an aligned table, with a totals row.
+     * @returns {string}
+     */
+    formatDayTable() {
+        const totals = { dayId: 'Total' };
+        for (const column of DAY_COLUMNS.slice(1)) {
+            totals[column.key] = this.dayResults.reduce((sum, r) => sum + r[column.key], 0);
+        }
+        // Summed ratios mean nothing
+        totals.capacity = totals.capacitySq = null;
+        return formatTable(DAY_COLUMNS, [...this.dayResults, totals]);
+    }
+
+    /**
+     * Per-day breakdown as CSV, one row per day.
+     * @returns {string}
+     */
+    formatDayCsv() {
+        return formatCsv(DAY_COLUMNS, this.dayResults);
+    }
+
+    /**
+     * Per-employee ledger: hours and wages per week, then progress on every
+     * skill the employee has or worked on.
+     * @returns {string}
+     */
+    formatLedger() {
+        const weekRows = [];
+        const skillRows = [];
+        for (const empId of Object.keys(this.ledger).map(id => parseInt(id)).sort((a, b) => a - b)) {
+            const { weeks, trainedOn } = this.ledger[empId];
+            for (const week of Object.keys(weeks).map(w => parseInt(w)).sort((a, b) => a - b)) {
+                const w = weeks[week];
+                weekRows.push({ employeeId: empId, week, ...w, wages: w.baseWages + w.overtimeWages });
+            }
+            for (const [skill, points] of this.engine.skillPoints.get(empId)) {
+                skillRows.push({
+                    employeeId: empId,
+                    skill,
+                    points,
+                    missing: Math.max(0, TRAINED_POINTS - points),
+                    trainedOn: trainedOn[skill] !== undefined ? trainedOn[skill] : '-',
+                });
+            }
+        }
+        return [
+            'Weekly hours and wages:',
+            formatTable(WEEK_COLUMNS, weekRows),
+            '',
+            'Skill progress:',
+            formatTable(SKILL_COLUMNS, skillRows),
+        ].join('\n');
     }
 }
 
 // --- Execution ---
 
 if (typeof require !== 'undefined' && require.main === module) {
-    if (process.argv.length !== 4) {
-        console.log("Usage: node validator.js <input_file_path> <output_file_path>");
+    const args = [];
+    const options = { breakdown: false, ledger: false, quiet: false, profile: 'official' };
+    let csvPath = null;
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--breakdown') {
+            options.breakdown = true;
+        } else if (arg === '--ledger') {
+            options.ledger = true;
+        } else if (arg === '--json') {
+            options.quiet = true;
+        } else if (arg === '--profile') {
+            options.profile = process.argv[++i];
+        } else if (arg === '--csv') {
+            csvPath = process.argv[++i];
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 2 || csvPath === undefined || !RULE_PROFILES[options.profile]) {
+        console.log("Usage: node validator.js [--json] [--breakdown] [--ledger] [--profile <name>] [--csv <per_day_csv_path>] <input_file_path> <output_file_path>");
+        console.log(`Rule profiles: ${Object.keys(RULE_PROFILES).join(', ')}`);
         process.exit(1);
     }
 
-    const inputPath = process.argv[2];
-    const outputPath = process.argv[3];
+    const [inputPath, outputPath] = args;
     
-    const validator = new PlanningValidator(inputPath, outputPath);
+    const validator = new PlanningValidator(inputPath, outputPath, options);
     
     // 1. Parse Input & Output
     validator.parseInput();
@@ -541,4 +457,19 @@ if (typeof require !== 'undefined' && require.main === module) {
     
     // 2. Validate and Score
     validator.validateAndScore();
+
+    // 3. Per-day CSV for spreadsheets
+    if (csvPath && validator.dayResults.length > 0) {
+        require('fs').writeFileSync(csvPath, validator.formatDayCsv());
+        validator._print(`Per-day breakdown written to: ${csvPath}`);
+    }
+
+    // 4. Machine-readable result instead of the scorecard; exits with 1
+    // when the schedule is invalid, so scripts can check it
+    if (options.quiet) {
+        console.log(JSON.stringify(validator.getResult(), null, 2));
+        if (!validator.isValid) process.exitCode = 1;
+    }
 }
+
+module.exports = { PlanningValidator };
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const { readOrExit } = require('./lib/cliInput');
+const { readInput } = require('./lib/inputParser');
+const { canonicalizeSchedule } = require('./lib/canonicalSchedule');
+const { rollingHorizon } = require('./lib/rollingHorizon');
+const { formatProfit } = require('./lib/reportTable');
+const { formatOutput } = require('./lib/textFormat');
+
+// --- Execution ---
+//
+// Builds a schedule one week at a time, planning each week together with the
+// next one(s) before committing it (see lib/rollingHorizon.js), and writes it
+// in canonical form. --verbose prints every week's profit and apprentices.
+// Profits are the official ones.
+
+if (require.main === module) {
+    const args = [];
+    const options = {};
+    let verbose = false;
+    for (let i = 2; i < process.argv.length; i++) {
+        const arg = process.argv[i];
+        if (arg === '--lookahead') {
+            options.lookahead = parseInt(process.argv[++i], 10);
+        } else if (arg === '--sweeps') {
+            options.sweeps = parseInt(process.argv[++i], 10);
+        } else if (arg === '--verbose') {
+            verbose = true;
+        } else {
+            args.push(arg);
+        }
+    }
+    if (args.length !== 2 || Object.values(options).some(value => !Number.isFinite(value))) {
+        console.log("Usage: node rolling.js [--lookahead <weeks>] [--sweeps <n>] [--verbose] <input_file_path> <output_file_path>");
+        process.exit(1);
+    }
+
+    const [inputPath, outputPath] = args;
+    const instance = readOrExit(inputPath, path => readInput(path, { strict: true }));
+    const result = rollingHorizon(instance, {
+        ...options,
+        onWeek: (week, profit, apprentices) => {
+            if (!verbose) return;
+            const training = apprentices.map(a => `${a.employeeId} ${a.skill}`).join(', ');
+            console.log(`  week ${week}: ${formatProfit(profit)}${training ? `, training ${training}` : ''}`);
+        },
+    });
+
+    console.log(`Total profit: ${formatProfit(result.total)}`);
+    fs.writeFileSync(outputPath, formatOutput(canonicalizeSchedule(result.schedule).schedule) + '\n');
+    console.log(`Schedule written to ${outputPath}`);
+}
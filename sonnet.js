@@ -1,59 +1,12 @@
 import fs from "node:fs";
-
-function parseInput(filename) {
-  const content = fs.readFileSync(filename, "utf8");
-  const lines = content.split(/\r?\n/).filter(Boolean);
-
-  let idx = 0;
-
-  const [overtimeModifier, fixedDailyCost] = lines[idx++].split(" ").map(Number);
-
-  const numDays = Number(lines[idx++]);
-  const days = [];
-  for (let i = 0; i < numDays; i++) {
-    const parts = lines[idx++].split(" ");
-    const dayId = Number(parts[0]);
-
-    if (parts.length === 1) {
-      days.push({ id: dayId, closed: true });
-    } else {
-      const start = Number(parts[1]);
-      const end = Number(parts[2]);
-      const revenue = Number(parts[3]);
-      const skills = parts[4].split(",");
-      days.push({ id: dayId, closed: false, start, end, revenue, skills });
-    }
-  }
-
-  const employees = [];
-  while (idx < lines.length) {
-    const parts = lines[idx++].split(" ");
-    const id = Number(parts[0]);
-    const maxHoursPerWeek = Number(parts[1]);
-    const salaryPerHour = Number(parts[2]);
-    const learningRate = Number(parts[3]);
-    const teachingRate = Number(parts[4]);
-    const skills = parts[5] === "_" ? [] : parts[5].split(",");
-    const vacation = parts[6] === "_" ? [] : parts[6].split(",").map(Number);
-
-    employees.push({
-      id,
-      maxHoursPerWeek,
-      salaryPerHour,
-      learningRate,
-      teachingRate,
-      skills: new Set(skills),
-      vacation: new Set(vacation),
-      trainedSkills: new Set(skills),
-      trainingProgress: {},
-    });
-  };
-
-  return { overtimeModifier, fixedDailyCost, days, employees };
-};
+import { pathToFileURL } from "node:url";
+import { DayRoster } from "./lib/dayRoster.js";
+import { Shift } from "./lib/domain.js";
+import { readInput } from "./lib/inputParser.js";
+import { shiftsOverlap } from "./lib/shiftRules.js";
 
 function advancedSchedule(input) {
-  const { days, employees, overtimeModifier, fixedDailyCost } = input;
+  const { days, employees, organization } = input;
   
   const schedule = [];
   const weeklyHours = new Map();
@@ -62,69 +15,72 @@ function advancedSchedule(input) {
   // Initialize tracking
   for (const emp of employees) {
     employeeSkills.set(emp.id, {
-      trained: new Set(emp.skills),
+      trained: new Set(emp.initialSkills),
       progress: {}
     });
   }
   
   for (const day of days) {
-    if (day.closed) {
+    if (day.isClosed) {
       schedule.push({ dayId: day.id, shifts: [] });
       continue;
     }
     
-    const shiftHours = day.end - day.start;
-    const shifts = [];
-    const skillAssignments = new Map();
+    const roster = new DayRoster(input, day);
+    const entriesSoFar = new Map();
     
-    // Multi-pass assignment: assign trained employees first, then untrained with teachers
-    for (const skill of day.skills) {
-      const candidates = [];
+    // One slot per required skill entry, staffed only where it is still open;
+    // an employee can take several shifts, on different skills, if they do not overlap
+    for (const skill of day.requiredSkills) {
+      const slots = (entriesSoFar.get(skill) || 0) + 1;
+      entriesSoFar.set(skill, slots);
       
-      for (const emp of employees) {
-        if (emp.vacation.has(day.id)) continue;
-        
-        const weekStart = Math.floor(day.id / 7) * 7;
-        const hoursThisWeek = weeklyHours.get(`${weekStart}-${emp.id}`) || 0;
-        
-        const overtimeHours = Math.max(0, hoursThisWeek + shiftHours - emp.maxHoursPerWeek);
-        const baseHours = shiftHours - overtimeHours;
-        
-        const cost = baseHours * emp.salaryPerHour +
-          overtimeHours * Math.floor((emp.salaryPerHour * overtimeModifier) / 100);
-        
-        const empSkills = employeeSkills.get(emp.id);
-        const isTrained = empSkills.trained.has(skill);
-        
-        // Heavy preference for trained, minimize overtime
-        const score = (isTrained ? 1000000 : 100) - cost - (overtimeHours * 5000);
-        
-        candidates.push({ emp, score, cost, isTrained, overtimeHours });
-      }
-      
-      candidates.sort((a, b) => b.score - a.score);
-      
-      // Take best candidate
-      if (candidates.length > 0) {
-        const best = candidates[0];
-        
-        shifts.push({
-          employeeId: best.emp.id,
-          start: day.start,
-          end: day.end,
-          skill: skill,
-        });
-        
-        const weekStart = Math.floor(day.id / 7) * 7;
-        const key = `${weekStart}-${best.emp.id}`;
-        weeklyHours.set(key, (weeklyHours.get(key) || 0) + shiftHours);
-        
-        if (!skillAssignments.has(skill)) {
-          skillAssignments.set(skill, []);
+      for (const gap of roster.gaps(skill, (workers) => workers.length < slots)) {
+        let from = gap.start;
+        while (from < gap.end) {
+          const candidates = [];
+          
+          for (const emp of employees) {
+            const until = roster.freeUntil(emp.id, from, gap.end);
+            if (until === from) continue;
+            const shiftHours = until - from;
+            
+            const weekStart = Math.floor(day.id / 7) * 7;
+            const hoursThisWeek = weeklyHours.get(`${weekStart}-${emp.id}`) || 0;
+            
+            const overtimeHours = Math.min(shiftHours, Math.max(0, hoursThisWeek + shiftHours - emp.maxHoursPerWeek));
+            const baseHours = shiftHours - overtimeHours;
+            
+            const cost = baseHours * emp.salaryPerHour +
+              overtimeHours * organization.overtimeRate(emp.salaryPerHour);
+            
+            const empSkills = employeeSkills.get(emp.id);
+            const isTrained = empSkills.trained.has(skill);
+            
+            // Heavy preference for trained, minimize overtime
+            const score = (isTrained ? 1000000 : 100) - cost - (overtimeHours * 5000);
+            
+            candidates.push({ emp, until, score, cost, isTrained, overtimeHours });
+          }
+          
+          candidates.sort((a, b) => b.score - a.score);
+          
+          // Take best candidate for as long as they are free
+          if (candidates.length === 0) {
+            from++;
+            continue;
+          }
+          const best = candidates[0];
+          roster.add(new Shift(best.emp.id, from, best.until, skill));
+          
+          const weekStart = Math.floor(day.id / 7) * 7;
+          const key = `${weekStart}-${best.emp.id}`;
+          weeklyHours.set(key, (weeklyHours.get(key) || 0) + best.until - from);
+          from = best.until;
         }
-        skillAssignments.set(skill, best);
       }
     }
+    const shifts = roster.shifts;
     
     // Process training gains
     for (const shift of shifts) {
@@ -135,7 +91,7 @@ function advancedSchedule(input) {
         // Check for teacher
         let teachingRate = 1;
         for (const otherShift of shifts) {
-          if (otherShift.skill === shift.skill && otherShift.employeeId !== shift.employeeId) {
+          if (otherShift.skill === shift.skill && otherShift.employeeId !== shift.employeeId && shiftsOverlap(otherShift, shift)) {
             const otherEmpSkills = employeeSkills.get(otherShift.employeeId);
             if (otherEmpSkills.trained.has(shift.skill)) {
               const teacher = employees.find(e => e.id === otherShift.employeeId);
@@ -145,7 +101,7 @@ function advancedSchedule(input) {
         }
         
         const progress = empSkills.progress[shift.skill] || 0;
-        const gain = shiftHours * emp.learningRate * teachingRate;
+        const gain = (shift.end - shift.start) * emp.learningRate * teachingRate;
         empSkills.progress[shift.skill] = progress + gain;
         
         if (empSkills.progress[shift.skill] >= 1000) {
@@ -160,8 +116,10 @@ function advancedSchedule(input) {
   return schedule;
 }
 
-function calculateScore(input, schedule) {
-  const { days, employees, overtimeModifier, fixedDailyCost } = input;
+// dayLog, when given, receives {dayId, capacity, payroll, profit, trainedCount} per day
+function calculateScore(input, schedule, dayLog = null) {
+  const { days, employees, organization } = input;
+  const fixedDailyCost = organization.fixedCost;
   let totalScore = 0;
   const weeklyHours = new Map();
 
@@ -169,15 +127,16 @@ function calculateScore(input, schedule) {
     const day = days[i];
     const daySchedule = schedule[i];
 
-    if (day.closed) {
+    if (day.isClosed) {
       totalScore -= fixedDailyCost;
+      if (dayLog) dayLog.push({ dayId: day.id, capacity: 0, payroll: 0, profit: -fixedDailyCost, trainedCount: countInitialSkills(employees) });
       continue;
     }
 
-    const requiredSkillHours = (day.end - day.start) * day.skills.length;
+    const requiredSkillHours = day.totalSkillHours();
     let coveredSkillHours = 0;
 
-    for (const skill of day.skills) {
+    for (const skill of day.requiredSkills) {
       for (let hour = day.start; hour < day.end; hour++) {
         const workersOnSkill = daySchedule.shifts.filter(
           (s) => s.skill === skill && s.start <= hour && s.end > hour
@@ -186,7 +145,7 @@ function calculateScore(input, schedule) {
         let hourCoverage = 0;
         for (const shift of workersOnSkill) {
           const emp = employees.find((e) => e.id === shift.employeeId);
-          const isTrained = emp.trainedSkills.has(skill);
+          const isTrained = emp.initialSkills.has(skill);
           hourCoverage += isTrained ? 1 : 0.5;
         }
         coveredSkillHours += Math.min(1, hourCoverage);
@@ -211,7 +170,7 @@ function calculateScore(input, schedule) {
       const overtimeHours = shiftHours - baseHours;
 
       const cost = baseHours * emp.salaryPerHour +
-        overtimeHours * Math.floor((emp.salaryPerHour * overtimeModifier) / 100);
+        overtimeHours * organization.overtimeRate(emp.salaryPerHour);
 
       payroll += cost;
       weeklyHours.set(key, hoursBeforeThisShift + shiftHours);
@@ -219,11 +178,17 @@ function calculateScore(input, schedule) {
 
     const profit = revenue - payroll - fixedDailyCost;
     totalScore += profit;
+    if (dayLog) dayLog.push({ dayId: day.id, capacity: capacityPercent, payroll, profit, trainedCount: countInitialSkills(employees) });
   }
 
   return totalScore;
 }
 
+// Nobody learns while scoring, so trained skills are the initial ones every day
+function countInitialSkills(employees) {
+  return employees.reduce((sum, emp) => sum + emp.initialSkills.size, 0);
+}
+
 function formatOutput(schedule) {
   const lines = [];
 
@@ -242,14 +207,18 @@ function formatOutput(schedule) {
 }
 
 // Main
-const inputFile = process.argv[2] || "A_Example.txt";
-const outputFile = inputFile.replace(".txt", "_solution.txt");
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const inputFile = process.argv[2] || "A_Example.txt";
+  const outputFile = inputFile.replace(".txt", "_solution.txt");
+
+  const input = readInput(inputFile);
+  const schedule = advancedSchedule(input);
+  const output = formatOutput(schedule);
 
-const input = parseInput(inputFile);
-const schedule = advancedSchedule(input);
-const output = formatOutput(schedule);
+  fs.writeFileSync(outputFile, output);
 
-fs.writeFileSync(outputFile, output);
+  const totalScore = calculateScore(input, schedule);
+  console.log(totalScore.toFixed(2));
+}
 
-const totalScore = calculateScore(input, schedule);
-console.log(totalScore.toFixed(2));
+export { advancedSchedule, calculateScore, formatOutput };
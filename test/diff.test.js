@@ -0,0 +1,31 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { compareSchedules } = require('../diff');
+
+const INPUT = path.join(__dirname, '..', 'examples', 'A_Example.txt');
+
+function writeSchedule(dir, name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('a schedule with a parse error still gets per-day figures', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-'));
+    const oldPath = writeSchedule(dir, 'old.txt', '0 _\n');
+    // The second token has a fractional hour and is dropped; the first one is scored
+    const newPath = writeSchedule(dir, 'new.txt', '0 1-8-12-kassa 2-8-9.5-kassa\n');
+
+    const { instance, oldRun, newRun, changes } = compareSchedules(INPUT, oldPath, newPath);
+
+    assert.ok(instance);
+    assert.strictEqual(oldRun.validator.isValid, true);
+    assert.strictEqual(newRun.validator.isValid, false);
+    assert.strictEqual(newRun.score.days[0].capacity, 1);
+    assert.strictEqual(newRun.score.days[0].payroll, 40);
+    assert.ok(newRun.score.total > oldRun.score.total);
+    assert.strictEqual(changes.get(0).length, 1);
+});